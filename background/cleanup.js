@@ -0,0 +1,239 @@
+// Automatic Tab Cleanup
+// Periodically applies the inactivity threshold and the recommendation logic
+// from shared/stats.js to close, discard or archive tabs. The user's rules
+// whose action is "close" or "suspend" take part too: closed ones follow the
+// cleanup action, suspended ones are always discarded.
+//
+// A tab is only acted on once it has stayed a candidate for the whole grace
+// period; using it in the meantime takes it off the list.
+
+import { updateState, readState, getSettings } from './state.js';
+import { generateRecommendations } from '../shared/stats.js';
+import { matchesAnyPattern } from '../shared/exclusions.js';
+import { suspendTabs, closeTabs, getFocusedWindowId } from './tab-actions.js';
+
+const CLEANUP_ALARM = 'auto-cleanup';
+const CLEANUP_INTERVAL_MINUTES = 15;
+const DEFAULT_GRACE_MINUTES = 60;
+const MAX_LOG_ENTRIES = 200;
+
+// Cleanup action for each rule action that runs automatically
+const RULE_CLEANUP_ACTIONS = {
+  close: settings => getCleanupAction(settings),
+  suspend: () => 'discard'
+};
+
+/**
+ * Create or clear the cleanup alarm to match the settings
+ * @param {Object} settings - User settings
+ * @returns {Promise<void>}
+ */
+export async function scheduleAutoCleanup(settings) {
+  if (!settings.autoCloseEnabled) {
+    await chrome.alarms.clear(CLEANUP_ALARM);
+    await chrome.storage.session.remove('cleanupPending');
+    return;
+  }
+
+  const existing = await chrome.alarms.get(CLEANUP_ALARM);
+  if (!existing) {
+    chrome.alarms.create(CLEANUP_ALARM, { periodInMinutes: CLEANUP_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Find tabs the cleanup job would act on, without changing anything
+ * @returns {Promise<Object>} - { enabled, action, graceMinutes, candidates }
+ */
+export async function previewAutoCleanup() {
+  const settings = await getSettings();
+  const candidates = await findCleanupCandidates(settings);
+  const { cleanupPending = {} } = await chrome.storage.session.get('cleanupPending');
+  const graceMs = getGraceMinutes(settings) * 60 * 1000;
+  const now = Date.now();
+
+  return {
+    enabled: !!settings.autoCloseEnabled,
+    action: getCleanupAction(settings),
+    graceMinutes: getGraceMinutes(settings),
+    candidates: candidates.map(({ tab, reason, ruleName, action }) => {
+      const pending = getPendingEntry(cleanupPending, tab);
+      return {
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        domain: tab.domain,
+        reason,
+        ruleName,
+        action,
+        markedAt: pending?.markedAt || null,
+        dueAt: (pending?.markedAt || now) + graceMs
+      };
+    })
+  };
+}
+
+/**
+ * Run one cleanup pass: mark new candidates and act on those past their grace period
+ * @returns {Promise<void>}
+ */
+export async function runAutoCleanup() {
+  const settings = await getSettings();
+  if (!settings.autoCloseEnabled || settings.trackingEnabled === false) {
+    await chrome.storage.session.remove('cleanupPending');
+    return;
+  }
+
+  const candidates = await findCleanupCandidates(settings);
+  const { cleanupPending = {} } = await chrome.storage.session.get('cleanupPending');
+  const graceMs = getGraceMinutes(settings) * 60 * 1000;
+  const now = Date.now();
+
+  // Tabs that stopped being candidates (used, closed, protected) drop out here
+  const stillPending = {};
+  const dueTabs = [];
+  candidates.forEach(candidate => {
+    const pending = getPendingEntry(cleanupPending, candidate.tab);
+    if (pending && now - pending.markedAt >= graceMs) {
+      dueTabs.push(candidate);
+    } else {
+      stillPending[candidate.tab.id] = pending || { markedAt: now, url: candidate.tab.url };
+    }
+  });
+
+  await chrome.storage.session.set({ cleanupPending: stillPending });
+
+  for (const action of new Set(dueTabs.map(candidate => candidate.action))) {
+    await applyCleanupAction(action, dueTabs.filter(candidate => candidate.action === action), settings);
+  }
+}
+
+/**
+ * Work out which open tabs are cleanup candidates and why
+ * @param {Object} settings - User settings
+ * @returns {Promise<Array>} - Array of { tab, reason, action, ruleName (for reason "rule") }
+ */
+async function findCleanupCandidates(settings) {
+  const { tabStats } = await readState();
+
+  // Only tabs we track can be judged; excluded tabs are left alone
+  const tabs = (await chrome.tabs.query({})).filter(tab => tabStats[tab.id]);
+  const focusedWindowId = await getFocusedWindowId();
+  const recommendations = generateRecommendations(tabStats, tabs, settings, { focusedWindowId });
+  const candidates = new Map();
+
+  recommendations.forEach(rec => {
+    if (rec.type === 'inactive') {
+      rec.tabs.forEach(tab => candidates.set(tab.id, { tab, reason: 'inactive' }));
+    }
+
+    if (rec.type === 'duplicate' && settings.autoCleanupDuplicates !== false) {
+      // Keep the survivor of each group, same as "Close Duplicates"
+      rec.duplicates.forEach(dup => {
+        dup.tabs.slice(1).forEach(tab => {
+          if (!candidates.has(tab.id)) {
+            candidates.set(tab.id, { tab, reason: 'duplicate', survivorId: dup.survivor.id });
+          }
+        });
+      });
+    }
+  });
+
+  // The user's rules, for tabs the built-in reasons don't already cover
+  recommendations
+    .filter(rec => rec.type === 'custom' && RULE_CLEANUP_ACTIONS[rec.action])
+    .forEach(rec => {
+      rec.tabs.forEach(tab => {
+        if (!candidates.has(tab.id)) {
+          candidates.set(tab.id, { tab, reason: 'rule', ruleName: rec.name, action: RULE_CLEANUP_ACTIONS[rec.action](settings) });
+        }
+      });
+    });
+
+  return Array.from(candidates.values())
+    .map(candidate => ({ ...candidate, action: candidate.action || getCleanupAction(settings) }))
+    .filter(({ tab }) => !isProtectedTab(tab, settings))
+    .filter(({ tab, action }) => !(action === 'discard' && tab.discarded));
+}
+
+/**
+ * Check if a tab must never be cleaned up automatically, or suspended by the
+ * "suspend inactive tabs" shortcut
+ * @param {Object} tab - Tab merged with its statistics
+ * @param {Object} settings - User settings
+ * @returns {boolean} - True if the tab is protected
+ */
+export function isProtectedTab(tab, settings) {
+  if (tab.active) return true;
+  if (tab.pinned && settings.protectPinned !== false) return true;
+  if (tab.audible && settings.protectAudible !== false) return true;
+  return matchesAnyPattern(tab.url, settings.protectedDomains || []);
+}
+
+// Close, discard or archive the given tabs and record what was done
+async function applyCleanupAction(action, candidates, settings) {
+  const timestamp = Date.now();
+  const tabIds = candidates.map(({ tab }) => tab.id);
+
+  let freedMB = null;
+  let operationId = null;
+
+  if (action === 'discard') {
+    const result = await suspendTabs(tabIds);
+    const suspendedIds = new Set(result.tabs.map(tab => tab.id));
+    candidates = candidates.filter(({ tab }) => suspendedIds.has(tab.id));
+    freedMB = result.freedMB;
+  } else {
+    const reasons = {};
+    const mergeInto = {};
+    candidates.forEach(({ tab, reason, survivorId }) => {
+      reasons[tab.id] = `auto-${reason}`;
+      if (survivorId && settings.duplicateMergeStats !== false) {
+        mergeInto[tab.id] = survivorId;
+      }
+    });
+    ({ operationId } = await closeTabs(tabIds, { source: 'auto', reasons, archive: action === 'archive', mergeInto }));
+  }
+
+  if (candidates.length === 0) return;
+
+  await updateState(['cleanupLog'], (state) => {
+    state.cleanupLog.push({
+      timestamp,
+      action,
+      freedMB,
+      operationId,
+      tabs: candidates.map(({ tab, reason }) => ({
+        title: tab.title,
+        url: tab.url,
+        domain: tab.domain,
+        reason
+      }))
+    });
+    state.cleanupLog = state.cleanupLog.slice(-MAX_LOG_ENTRIES);
+  });
+
+  console.log(`Auto cleanup: ${action} ${candidates.length} tab(s)`);
+}
+
+// A pending mark only counts while the tab still shows the same page
+function getPendingEntry(cleanupPending, tab) {
+  const pending = cleanupPending[tab.id];
+  return pending && pending.url === tab.url ? pending : null;
+}
+
+function getCleanupAction(settings) {
+  return ['close', 'discard', 'archive'].includes(settings.autoCleanupAction)
+    ? settings.autoCleanupAction
+    : 'close';
+}
+
+function getGraceMinutes(settings) {
+  return settings.autoCleanupGraceMinutes ?? DEFAULT_GRACE_MINUTES;
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === CLEANUP_ALARM) {
+    await runAutoCleanup();
+  }
+});
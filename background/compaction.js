@@ -0,0 +1,83 @@
+// Storage Compaction
+// Once a day, trim closed tab history and the activity log to their retention
+// and size limits, and drop closed tabs that were recorded twice (when the
+// worker stopped between moving a tab to history and saving its removal, or
+// a migration ran again). Tab events only ever append to history; this is
+// where it shrinks.
+
+import { getSettings } from './state.js';
+import { deleteHistory, countHistory } from '../shared/history-db.js';
+import { ACTIVITY_RETENTION_DAYS, MAX_ACTIVITY_EVENTS } from '../shared/activity.js';
+
+const COMPACTION_ALARM = 'storage-compaction';
+const COMPACTION_INTERVAL_MINUTES = 24 * 60;
+const MAX_CLOSED_TABS = 10000; // Archived tabs don't count and are never dropped
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the daily compaction alarm if it doesn't exist yet
+ * @returns {Promise<void>}
+ */
+export async function scheduleCompaction() {
+  const existing = await chrome.alarms.get(COMPACTION_ALARM);
+  if (!existing) {
+    chrome.alarms.create(COMPACTION_ALARM, { delayInMinutes: 5, periodInMinutes: COMPACTION_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Trim and deduplicate closed tab history and the activity log now
+ * @returns {Promise<Object>} - { closedTabs, activityLog }: number of records removed from each
+ */
+export async function compactStorage() {
+  const settings = await getSettings();
+  const now = Date.now();
+
+  const closedTabs = await compactClosedTabs(now - (settings.dataRetentionDays || 30) * DAY_MS);
+  const activityLog = await compactActivityLog(now - ACTIVITY_RETENTION_DAYS * DAY_MS);
+
+  console.log(`Storage compaction removed ${closedTabs} closed tabs and ${activityLog} activity events`);
+  return { closedTabs, activityLog };
+}
+
+async function compactClosedTabs(cutoffTime) {
+  // Past the retention period. Archived tabs are kept until the user removes them.
+  const expired = await deleteHistory('closedTabs', record => !record.archived, { until: cutoffTime });
+
+  // The same tab moved to history twice; the first close is the real one
+  const seen = new Set();
+  let kept = 0;
+  const duplicates = await deleteHistory('closedTabs', (record) => {
+    const key = `${record.id}-${record.url}-${record.createdAt}`;
+    if (seen.has(key)) return true;
+    seen.add(key);
+    if (!record.archived) kept++;
+    return false;
+  });
+
+  // Over the size limit: drop the oldest
+  let excess = kept - MAX_CLOSED_TABS;
+  const overflow = excess > 0
+    ? await deleteHistory('closedTabs', record => !record.archived && excess-- > 0)
+    : [];
+
+  return expired.length + duplicates.length + overflow.length;
+}
+
+async function compactActivityLog(cutoffTime) {
+  const expired = await deleteHistory('activityLog', () => true, { until: cutoffTime });
+
+  // Over the size limit: drop the oldest
+  let excess = await countHistory('activityLog') - MAX_ACTIVITY_EVENTS;
+  const overflow = excess > 0
+    ? await deleteHistory('activityLog', () => excess-- > 0)
+    : [];
+
+  return expired.length + overflow.length;
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === COMPACTION_ALARM) {
+    await compactStorage();
+  }
+});
@@ -0,0 +1,111 @@
+// Storage Migrations
+// Brings stored data up to the current schema (see shared/schema.js) on
+// install, update and browser startup. Keys of the state layer are migrated
+// through it, so tab events that arrive meanwhile apply on top of the migrated
+// data instead of being overwritten by it. Other keys are read from and
+// written back to chrome.storage.local directly.
+
+import { updateState, flushState, STATE_KEYS } from './state.js';
+import { SCHEMA_VERSION, SCHEMA_VERSION_KEY, getDefaultSettings, getPendingMigrations, migrateData } from '../shared/schema.js';
+import { addHistory, queryHistory, HISTORY_STORES } from '../shared/history-db.js';
+
+// Steps that move data to another storage area rather than change its shape,
+// by the schema version that introduced them. They run after the shape
+// migrations, and receive the migrated data.
+const STORAGE_STEPS = {
+  3: moveHistoryToIndexedDb
+};
+
+/**
+ * Run the migrations stored data still needs, and write the new schema version
+ * once their results are in storage
+ * @returns {Promise<void>}
+ */
+export async function migrateStorage() {
+  const { [SCHEMA_VERSION_KEY]: storedVersion = 0 } = await chrome.storage.local.get(SCHEMA_VERSION_KEY);
+
+  if (storedVersion > SCHEMA_VERSION) {
+    // Written by a newer version of the extension; leave it as it is
+    console.warn(`Storage schema ${storedVersion} is newer than ${SCHEMA_VERSION}, skipping migrations`);
+    return;
+  }
+
+  const pending = getPendingMigrations(storedVersion);
+  if (pending.length === 0) return;
+
+  const keys = [...new Set(pending.flatMap(migration => migration.keys))];
+  const stateKeys = keys.filter(key => STATE_KEYS.includes(key));
+  const storedKeys = keys.filter(key => !STATE_KEYS.includes(key));
+
+  await updateState(stateKeys, async (state) => {
+    const data = {};
+    stateKeys.forEach(key => {
+      data[key] = state[key];
+    });
+    const stored = await chrome.storage.local.get(storedKeys);
+    storedKeys.forEach(key => {
+      if (key in stored) data[key] = stored[key];
+    });
+    if (storedKeys.includes('settings')) {
+      // A new install has no settings yet: start from the defaults
+      data.settings ??= getDefaultSettings();
+    }
+
+    const applied = migrateData(data, storedVersion);
+    for (const migration of pending) {
+      await STORAGE_STEPS[migration.version]?.(data);
+    }
+
+    stateKeys.forEach(key => {
+      state[key] = data[key];
+    });
+    const updates = {};
+    storedKeys.forEach(key => {
+      if (key in data) updates[key] = data[key];
+    });
+    await chrome.storage.local.set(updates);
+    console.log(`Migrated storage from schema ${storedVersion} to ${SCHEMA_VERSION} (${applied.join(', ')})`);
+  });
+
+  // Only record the version once the migrated data is written, so an
+  // interrupted migration runs again
+  await flushState();
+  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION });
+}
+
+// closedTabs and activityLog used to be chrome.storage.local keys. Tab events
+// may already have written to the stores by the time this runs, and if it is
+// interrupted it runs again, so only the records a store doesn't hold yet are
+// added. Stores whose key is already gone were moved before.
+async function moveHistoryToIndexedDb(data) {
+  const storeNames = Object.keys(HISTORY_STORES);
+  const stored = await chrome.storage.local.get(storeNames);
+
+  for (const storeName of storeNames) {
+    // Earlier migrations may already have upgraded them
+    const records = data[storeName] ?? stored[storeName];
+    delete data[storeName];
+    if (!records) continue;
+
+    // Counted rather than a set: the log can hold identical events
+    const existing = new Map();
+    (await queryHistory(storeName)).forEach(record => {
+      const key = getHistoryKey(storeName, record);
+      existing.set(key, (existing.get(key) || 0) + 1);
+    });
+    await addHistory(storeName, records.filter(record => {
+      const key = getHistoryKey(storeName, record);
+      const count = existing.get(key) || 0;
+      if (count === 0) return true;
+      existing.set(key, count - 1);
+      return false;
+    }));
+  }
+  await chrome.storage.local.remove(storeNames);
+}
+
+function getHistoryKey(storeName, record) {
+  return storeName === 'closedTabs'
+    ? `${record.id}-${record.url}-${record.closedAt}`
+    : `${record.type}-${record.timestamp}-${record.domain}`;
+}
@@ -0,0 +1,157 @@
+// Recently Used Tabs
+// The order tabs were last used in, across windows, most recent first, for
+// the quick switcher and the "jump to recent tab" shortcut:
+//   mruStack: [tabId, ...]
+// It goes through the state layer, so it outlives service worker restarts.
+// Like the tab records, it is not kept while tracking is paused, and never
+// holds excluded tabs.
+// Tab ids change when the browser restarts; the stack is rebuilt from the tab
+// records' lastAccessedAt then. Ids of tabs that closed before their events
+// were handled (e.g. mid-navigation) are dropped whenever the stack is read.
+
+import { updateState, readState, getSettings } from './state.js';
+import { focusTab } from './tab-actions.js';
+import { extractDomain } from '../shared/utils.js';
+import { isExcludedTab } from '../shared/exclusions.js';
+
+const MAX_MRU_TABS = 200;
+
+// Activations in other windows (e.g. the next tab after closing one in a
+// background window) are not uses. Unknown after a worker restart until focus
+// changes; every activation counts meanwhile.
+let focusedWindowId = null;
+
+/**
+ * Get the open tabs, most recently used first. Tabs the stack doesn't know
+ * follow, by their last access.
+ * @returns {Promise<Array>} - Tabs merged with their statistics: { id, windowId, title, url, domain, favIconUrl, lastAccessedAt, activationCount, ... }
+ */
+export async function getRecentTabs() {
+  const { mruStack, tabStats } = await readState();
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+
+  const stale = mruStack.filter(tabId => !tabsById.has(tabId));
+  if (stale.length > 0) {
+    await forgetTabs(stale);
+  }
+
+  const stacked = mruStack.filter(tabId => tabsById.has(tabId));
+  const stackedIds = new Set(stacked);
+  const getLastAccess = tab => tabStats[tab.id]?.lastAccessedAt || tab.lastAccessed || 0;
+  const others = tabs
+    .filter(tab => !stackedIds.has(tab.id))
+    .sort((a, b) => getLastAccess(b) - getLastAccess(a));
+
+  return [...stacked.map(tabId => tabsById.get(tabId)), ...others].map(tab => ({
+    ...tab,
+    ...tabStats[tab.id],
+    domain: tabStats[tab.id]?.domain || extractDomain(tab.url),
+    lastAccessedAt: getLastAccess(tab)
+  }));
+}
+
+/**
+ * Switch to a tab from the quick switcher. A tab that is gone is dropped from
+ * the stack.
+ * @param {number} tabId - Tab to switch to
+ * @returns {Promise<boolean>} - False if the tab is gone
+ */
+export async function switchToRecentTab(tabId) {
+  const switched = await focusTab(tabId);
+  if (!switched) {
+    await forgetTabs([tabId]);
+  }
+  return switched;
+}
+
+/**
+ * Switch back to the tab used before the current one, in any window.
+ * Used again, it returns to where it started.
+ * @returns {Promise<boolean>} - False if there is no other tab to switch to
+ */
+export async function switchToPreviousTab() {
+  const [current] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  for (const tab of await getRecentTabs()) {
+    if (tab.id === current?.id) continue;
+    // Closed since the list was read: try the next one
+    if (await switchToRecentTab(tab.id)) return true;
+  }
+  return false;
+}
+
+/**
+ * Rebuild the stack from the tab records, after tab ids changed
+ * @returns {Promise<void>}
+ */
+export async function rebuildRecentTabs() {
+  const settings = await getSettings();
+  const tabs = settings.trackingEnabled === false
+    ? []
+    : (await chrome.tabs.query({ windowType: 'normal' })).filter(tab => !isExcludedTab(tab, settings));
+
+  await updateState(['mruStack'], (state) => {
+    const getLastAccess = tab => state.tabStats[tab.id]?.lastAccessedAt || tab.lastAccessed || 0;
+    state.mruStack = tabs
+      .sort((a, b) => getLastAccess(b) - getLastAccess(a))
+      .map(tab => tab.id)
+      .slice(0, MAX_MRU_TABS);
+  });
+}
+
+async function pushTab(tab) {
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false || isExcludedTab(tab, settings)) return;
+
+  await updateState(['mruStack'], (state) => {
+    state.mruStack = [tab.id, ...state.mruStack.filter(id => id !== tab.id)].slice(0, MAX_MRU_TABS);
+  });
+}
+
+function forgetTabs(tabIds) {
+  const ids = new Set(tabIds);
+  return updateState(['mruStack'], (state) => {
+    state.mruStack = state.mruStack.filter(tabId => !ids.has(tabId));
+  });
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  if (focusedWindowId !== null && windowId !== focusedWindowId) return;
+
+  try {
+    await pushTab(await chrome.tabs.get(tabId));
+  } catch (e) {
+    // Closed in the meantime
+  }
+});
+
+// Switching windows uses the active tab of the window switched to. Popups,
+// like the quick switcher's own window, don't count.
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  try {
+    const focused = await chrome.windows.get(windowId, { populate: true });
+    if (focused.type !== 'normal') return;
+
+    focusedWindowId = windowId;
+    const activeTab = focused.tabs.find(tab => tab.active);
+    if (activeTab) {
+      await pushTab(activeTab);
+    }
+  } catch (e) {
+    // Closed in the meantime
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetTabs([tabId]);
+});
+
+// Prerendered and instant pages swap in under a new id
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  updateState(['mruStack'], (state) => {
+    state.mruStack = [...new Set(state.mruStack.map(tabId => (tabId === removedTabId ? addedTabId : tabId)))];
+  });
+});
@@ -0,0 +1,270 @@
+// Address Bar Keyword
+// Typing "ts" and a space in the address bar searches open tabs, closed tab
+// history and domains (see shared/search.js), and runs commands:
+//   close dupes     - close duplicate tabs, keeping one per page
+//   close inactive  - close the tabs past the inactivity threshold
+//   go <domain>     - switch to the domain's most recently used tab, or open the site
+// A suggestion's content is what runs when it is picked: "tab:<id>" switches
+// to an open tab, a URL reopens a closed one, anything else is a command.
+
+import { readState, flushState } from './state.js';
+import { closeDuplicateTabs, closeInactiveTabs, findDuplicatesToClose, findInactiveTabs, focusTab } from './tab-actions.js';
+import { queryHistory } from '../shared/history-db.js';
+import { searchTabs, getSearchDomains, getDomainTabs, fuzzyMatch } from '../shared/search.js';
+import { formatDuration, formatTimestamp } from '../shared/utils.js';
+
+const MAX_SUGGESTIONS = 6;
+const TAB_CONTENT_PREFIX = 'tab:';
+const GO_COMMAND = /^go(?:\s+(.*))?$/i;
+const URL_SCHEMES = /^(?:https?|file|ftp|chrome):\S+$/i;
+const HELP_DESCRIPTION = 'Search open and closed tabs, or type <match>close dupes</match>, <match>close inactive</match> or <match>go</match> <dim>domain</dim>';
+
+const COMMANDS = {
+  'close dupes': {
+    describe: async () => describeCount((await findDuplicatesToClose()).length, 'duplicate tab'),
+    run: () => closeDuplicateTabs({ source: 'omnibox' })
+  },
+  'close inactive': {
+    describe: async () => describeCount((await findInactiveTabs()).length, 'inactive tab'),
+    run: () => closeInactiveTabs({ source: 'omnibox' })
+  }
+};
+
+// Tabs, statistics and closed tab history, loaded once per keyword session
+// rather than on every keystroke
+let searchData = null;
+let latestInput = null;
+
+function getSearchData() {
+  if (!searchData) {
+    searchData = loadSearchData();
+  }
+  return searchData;
+}
+
+async function loadSearchData() {
+  const { tabStats } = await readState();
+  const [tabs, closedTabs] = await Promise.all([chrome.tabs.query({}), queryHistory('closedTabs')]);
+  return { tabs, tabStats, closedTabs };
+}
+
+// Returns { description: for the default suggestion, suggestions }
+async function getSuggestions(input) {
+  const data = await getSearchData();
+  const now = Date.now();
+  const command = COMMANDS[input.toLowerCase()];
+  const go = input.match(GO_COMMAND);
+
+  // Commands the input could still become
+  const suggestions = [];
+  for (const [name, { describe }] of Object.entries(COMMANDS)) {
+    if (name.startsWith(input.toLowerCase()) && name !== input.toLowerCase()) {
+      suggestions.push({ content: name, description: `<match>${name}</match> <dim>· ${await describe()}</dim>` });
+    }
+  }
+
+  if (command) {
+    return { description: `<match>${escapeXml(input)}</match> <dim>· ${await command.describe()}</dim>`, suggestions };
+  }
+
+  if (go) {
+    const matches = findDomains(go[1] || '', data);
+    // Once a domain is typed, the best match is the default suggestion
+    const [best, ...others] = go[1] ? matches : [null, ...matches];
+    others.forEach(({ domain, indices }) => {
+      suggestions.push({ content: `go ${domain.domain}`, description: describeDomain(domain, indices) });
+    });
+    let description = `<match>go</match> <dim>domain · switch to its last used tab, or open it</dim>`;
+    if (best) {
+      description = describeDomain(best.domain, best.indices);
+    } else if (go[1]) {
+      description = go[1].includes('.')
+        ? `<dim>Open</dim> <url>https://${escapeXml(go[1].trim())}</url>`
+        : `<dim>No domains match</dim> <match>${escapeXml(go[1])}</match>`;
+    }
+    return { description, suggestions: suggestions.slice(0, MAX_SUGGESTIONS) };
+  }
+
+  if (!input) {
+    return { description: HELP_DESCRIPTION, suggestions };
+  }
+
+  const results = searchTabs(input, data, { limit: MAX_SUGGESTIONS + 1 });
+  results.slice(1).forEach(result => {
+    suggestions.push({ content: getResultContent(result), description: describeResult(result, now) });
+  });
+  const description = results.length > 0
+    ? describeResult(results[0], now)
+    : `<dim>No open or closed tabs match</dim> <match>${escapeXml(input)}</match>`;
+  return { description, suggestions: suggestions.slice(0, MAX_SUGGESTIONS) };
+}
+
+async function runInput(input, disposition) {
+  const command = COMMANDS[input.toLowerCase()];
+  const go = input.match(GO_COMMAND);
+
+  if (input.startsWith(TAB_CONTENT_PREFIX)) {
+    await focusTab(Number(input.slice(TAB_CONTENT_PREFIX.length)));
+  } else if (command) {
+    const result = await command.run();
+    await flushState();
+    console.log(`Omnibox "${input}" closed ${result.closed} tab(s)`);
+  } else if (go) {
+    await goToDomain(go[1] || '', disposition);
+  } else if (isUrl(input)) {
+    await openUrl(input, disposition);
+  } else {
+    // Enter on the default suggestion: the best match
+    const [best] = searchTabs(input, await getSearchData(), { limit: 1 });
+    if (best) {
+      await runInput(getResultContent(best), disposition);
+    }
+  }
+}
+
+async function goToDomain(query, disposition) {
+  const data = await getSearchData();
+  const [match] = findDomains(query, data);
+  const domain = match?.domain.domain || (query.includes('.') ? query.trim() : null);
+  if (!domain) return;
+
+  const [tab] = getDomainTabs(domain, data.tabs, data.tabStats);
+  if (!tab || !(await focusTab(tab.id))) {
+    await openUrl(`https://${domain}`, disposition);
+  }
+}
+
+async function openUrl(url, disposition) {
+  if (disposition === 'currentTab') {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await chrome.tabs.update(tab.id, { url });
+      return;
+    }
+  }
+  await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+}
+
+// Domains for "go", the exact one first
+function findDomains(query, { tabs, tabStats, closedTabs }) {
+  const domains = getSearchDomains(tabs, tabStats, closedTabs);
+  const term = query.trim().toLowerCase();
+  if (!term) {
+    return domains.slice(0, MAX_SUGGESTIONS).map(domain => ({ domain, indices: [] }));
+  }
+
+  return domains
+    .map(domain => ({ domain, ...fuzzyMatch(term, domain.domain) }))
+    .filter(match => match.indices)
+    .sort((a, b) => (b.domain.domain === term) - (a.domain.domain === term) || b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+function getResultContent(result) {
+  if (result.type === 'tab') return `${TAB_CONTENT_PREFIX}${result.tab.id}`;
+  if (result.type === 'closed') return result.record.url;
+  return `go ${result.domain.domain}`;
+}
+
+function describeResult(result, now) {
+  if (result.type === 'domain') {
+    return describeDomain(result.domain, result.indices);
+  }
+
+  const item = result.type === 'tab' ? result.tab : result.record;
+  const title = item.title || item.url;
+  const titleIndices = result.field === 'title' ? result.indices : [];
+  const urlIndices = result.field === 'url' ? result.indices : [];
+  const activations = describeCount(item.activationCount || 0, 'activation');
+
+  const details = result.type === 'tab'
+    ? [item.createdAt ? `opened ${formatDuration(now - item.createdAt)} ago` : 'not tracked', activations]
+    : [`closed ${formatTimestamp(item.closedAt).toLowerCase()}`, activations];
+  const label = result.type === 'closed' ? '<dim>Reopen:</dim> ' : '';
+
+  return `${label}${highlight(title, titleIndices)} <dim>· ${details.join(' · ')}</dim> <url>${highlight(item.url, urlIndices)}</url>`;
+}
+
+function describeDomain(domain, indices) {
+  const details = domain.openTabs > 0
+    ? [describeCount(domain.openTabs, 'open tab'), describeCount(domain.activations, 'activation')]
+    : [describeCount(domain.closedTabs, 'closed tab')];
+  return `<dim>Go to</dim> <url>${highlight(domain.domain, indices)}</url> <dim>· ${details.join(' · ')}</dim>`;
+}
+
+function describeCount(count, noun, none = `no ${noun}s`) {
+  if (count === 0) return none;
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+// Wrap the matched characters in <match>, escaping the rest for the omnibox's XML
+function highlight(text, indices) {
+  const matched = new Set(indices);
+  let markup = '';
+  let open = false;
+  let position = 0;
+
+  // By code point, so no tag lands inside a surrogate pair; indices count UTF-16 units
+  Array.from(text || '').forEach(char => {
+    if (matched.has(position) !== open) {
+      markup += open ? '</match>' : '<match>';
+      open = !open;
+    }
+    markup += escapeXml(char);
+    position += char.length;
+  });
+  return open ? `${markup}</match>` : markup;
+}
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Only the schemes closed tabs can have; "note:meeting" or "localhost:3000"
+// are searches, and javascript: or data: URLs are never opened
+function isUrl(text) {
+  return URL_SCHEMES.test(text);
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: HELP_DESCRIPTION });
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  searchData = null;
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const input = text.trim();
+  latestInput = input;
+
+  try {
+    const { description, suggestions } = await getSuggestions(input);
+    // A later keystroke already has its own suggestions
+    if (input !== latestInput) return;
+    chrome.omnibox.setDefaultSuggestion({ description });
+    suggest(suggestions);
+  } catch (error) {
+    console.error('Error building omnibox suggestions:', error);
+  }
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  try {
+    await runInput(text.trim(), disposition);
+  } catch (error) {
+    console.error('Error running omnibox input:', error);
+  } finally {
+    searchData = null;
+    chrome.omnibox.setDefaultSuggestion({ description: HELP_DESCRIPTION });
+  }
+});
+
+chrome.omnibox.onInputCancelled.addListener(() => {
+  searchData = null;
+});
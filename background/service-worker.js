@@ -1,210 +1,682 @@
 // Background Service Worker for Tab Stats Extension
 // Tracks tab lifecycle events and persists statistics
 
+import { updateState, flushState, getSettings } from './state.js';
+import { scheduleAutoCleanup, previewAutoCleanup, isProtectedTab } from './cleanup.js';
+import { scheduleTrendSnapshots } from './trend-snapshots.js';
+import { suspendTabs, closeTabs, undoClose, redactUndoTab, groupTabsByDomain, groupTabsForReview, groupTabsAs, closeDuplicateTabs, findInactiveTabs, getFocusedWindowId } from './tab-actions.js';
+import { getRecentTabs, switchToRecentTab, switchToPreviousTab, rebuildRecentTabs } from './mru.js';
+import { saveSessionSnapshot, restoreSessionSnapshot, deleteSessionSnapshot } from './sessions.js';
+import { migrateStorage } from './migrations.js';
+import { scheduleCompaction, compactStorage } from './compaction.js';
+import { syncSettings } from './settings-sync.js';
+import './omnibox.js';
+import { extractDomain } from '../shared/utils.js';
+import { addHistory, deleteHistory, queryHistory } from '../shared/history-db.js';
+import { isTrackableTab, isExcludedTab, isExcludedDomain } from '../shared/exclusions.js';
+
 console.log('Tab Stats service worker started');
 
+const SESSION_STATS_DAYS = 365;
+const BADGE_DURATION = 3000; // How long a shortcut's result shows on the toolbar icon (ms)
+const QUICK_SWITCHER_PAGE = 'switcher/switcher.html';
+const QUICK_SWITCHER_SIZE = { width: 520, height: 440 };
+// Stored alongside tab records that can name excluded tabs
+const PURGED_KEYS = ['undoStack', 'sessionSnapshots', 'cleanupLog', 'mruStack'];
+// How long after a browser start its previous session's tabs can be restored with their history (ms)
+const SESSION_RESTORE_WINDOW = 10 * 60 * 1000;
+
 // Get today's date key for session tracking
 function getTodayKey() {
   return new Date().toISOString().split('T')[0]; // "2024-01-15"
 }
 
 // Initialize extension on install
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Tab Stats extension installed');
   
-  // Initialize storage structure
-  await initializeStorage();
+  // Write default settings on install, and upgrade data from older versions
+  await migrateStorage();
+  await syncSettings();
   
-  // Track all existing tabs
-  await trackExistingTabs();
+  // Track all existing tabs, keeping any history we already have for them.
+  // A browser update implies a restart, so tab ids have changed.
+  await trackExistingTabs({ idsStable: details.reason !== 'chrome_update' });
+  await rebuildRecentTabs();
+  await restartFocusSegment(Date.now());
+  await scheduleAutoCleanup(await getSettings());
+  await scheduleTrendSnapshots();
+  await scheduleCompaction();
+});
+
+// Reconcile tab identity when the browser starts. Chrome assigns new tab ids
+// on every launch, so records from the previous session are matched back to
+// the restored tabs instead of being keyed by id.
+chrome.runtime.onStartup.addListener(async () => {
+  console.log('Tab Stats browser startup');
+
+  await migrateStorage();
+  await syncSettings();
+  await trackExistingTabs({ idsStable: false });
+  await rebuildRecentTabs();
+  await restartFocusSegment(Date.now());
+  await scheduleAutoCleanup(await getSettings());
+  await scheduleTrendSnapshots();
+  await scheduleCompaction();
 });
 
-// Initialize storage with default settings
-async function initializeStorage() {
-  const result = await chrome.storage.local.get(['settings', 'tabStats', 'sessionStats']);
+// Update daily session stats
+// sessionStats: { daily: { "2024-01-15": { opened: 5, closed: 3 } } }
+// Kept for a year, for the Overview's long-term trends
+function updateSessionStats(action) {
+  const todayKey = getTodayKey();
   
-  if (!result.settings) {
-    await chrome.storage.local.set({
-      settings: {
-        trackingEnabled: true,
-        dataRetentionDays: 30,
-        inactivityThresholdDays: 7
-      }
+  return updateState(['sessionStats'], ({ sessionStats }) => {
+    if (!sessionStats.daily[todayKey]) {
+      sessionStats.daily[todayKey] = { opened: 0, closed: 0 };
+    }
+    
+    if (action === 'opened') {
+      sessionStats.daily[todayKey].opened++;
+    } else if (action === 'closed') {
+      sessionStats.daily[todayKey].closed++;
+    }
+    
+    // Keep only the last year of session stats
+    const keys = Object.keys(sessionStats.daily).sort();
+    if (keys.length > SESSION_STATS_DAYS) {
+      const keysToRemove = keys.slice(0, keys.length - SESSION_STATS_DAYS);
+      keysToRemove.forEach(key => delete sessionStats.daily[key]);
+    }
+  });
+}
+
+// Track all currently open tabs, carrying forward history from previous records.
+// idsStable is false after a browser restart, when tab ids can no longer be trusted.
+function trackExistingTabs({ idsStable = true } = {}) {
+  // Records written by this worker instance belong to the current browser
+  // session, so their ids are still valid even after a restart
+  const sessionStart = idsStable ? Infinity : performance.timeOrigin;
+
+  return updateState(['tabStats', 'domainStats', ...PURGED_KEYS], async (state) => {
+    const settings = await getSettings();
+    if (settings.trackingEnabled === false) return;
+    
+    await purgeExcludedRecords(state, settings);
+    
+    // Queried inside the mutation so tab events queued meanwhile apply on top
+    const tabs = (await chrome.tabs.query({})).filter(tab => !isExcludedTab(tab, settings));
+    const now = Date.now();
+    const { matches, orphans } = reconcileTabRecords(state.tabStats, tabs, idsStable, sessionStart);
+
+    const reconciledStats = {};
+    tabs.forEach(tab => {
+      const previous = matches.get(tab.id);
+      reconciledStats[tab.id] = previous
+        ? carryForwardRecord(previous, tab)
+        : createTabRecord(tab, now);
     });
-  }
-  
-  if (!result.tabStats) {
-    await chrome.storage.local.set({ tabStats: {} });
-  }
-  
-  // Initialize session stats tracking
-  if (!result.sessionStats) {
-    await chrome.storage.local.set({ 
-      sessionStats: {
-        daily: {} // { "2024-01-15": { opened: 5, closed: 3 } }
-      }
+
+    // Tabs that did not come back are moved to history. After a restart they are
+    // flagged so they can still be revived if the session is restored later.
+    await addHistory('closedTabs', orphans.map(record => ({
+      ...record,
+      closedAt: now,
+      closedReason: idsStable ? 'missing' : 'session-ended'
+    })));
+
+    state.tabStats = reconciledStats;
+    console.log(`Reconciled ${matches.size} of ${tabs.length} tabs with existing records`);
+  });
+}
+
+// Match stored records to currently open tabs.
+// Returns { matches: Map<tabId, record>, orphans: Array<record> }
+function reconcileTabRecords(tabStats, tabs, idsStable, sessionStart) {
+  const matches = new Map();
+  const unmatchedTabs = [];
+
+  // Pass 1: records whose ids are known to still be valid
+  tabs.forEach(tab => {
+    const record = tabStats[tab.id];
+    if (record && (idsStable || record.createdAt >= sessionStart) && !isReplaceableByHistory(record, tab, tabStats, sessionStart)) {
+      matches.set(tab.id, record);
+    } else {
+      unmatchedTabs.push(tab);
+    }
+  });
+
+  const claimedIds = new Set(Array.from(matches.values()).map(record => record.id));
+  const candidates = Object.values(tabStats).filter(record =>
+    !claimedIds.has(record.id) && (idsStable || record.createdAt < sessionStart)
+  );
+
+  // Pass 2: match remaining tabs to previous records by URL, window and position
+  const windowMap = mapPreviousWindows(candidates, unmatchedTabs);
+  const pairs = [];
+  unmatchedTabs.forEach(tab => {
+    const url = getTabUrl(tab);
+    candidates.forEach(record => {
+      if (record.url !== url) return;
+
+      const sameWindow = windowMap.get(record.windowId) === tab.windowId;
+      const indexDistance = Math.abs((record.index ?? tab.index) - tab.index);
+      pairs.push({ tab, record, score: (sameWindow ? 0 : 1000) + indexDistance });
     });
-  }
+  });
+
+  pairs.sort((a, b) => a.score - b.score || a.record.createdAt - b.record.createdAt);
+
+  const usedRecords = new Set();
+  pairs.forEach(({ tab, record }) => {
+    if (matches.has(tab.id) || usedRecords.has(record)) return;
+    matches.set(tab.id, record);
+    usedRecords.add(record);
+  });
+
+  // Fall back to fresh records created during this session for the rest
+  unmatchedTabs.forEach(tab => {
+    const record = tabStats[tab.id];
+    if (!matches.has(tab.id) && record && record.createdAt >= sessionStart) {
+      matches.set(tab.id, record);
+      usedRecords.add(record);
+    }
+  });
+
+  const orphans = candidates.filter(record => !usedRecords.has(record));
+  return { matches, orphans };
 }
 
-// Update daily session stats
-async function updateSessionStats(action) {
-  const todayKey = getTodayKey();
-  const { sessionStats = { daily: {} } } = await chrome.storage.local.get('sessionStats');
-  
-  if (!sessionStats.daily[todayKey]) {
-    sessionStats.daily[todayKey] = { opened: 0, closed: 0 };
-  }
-  
-  if (action === 'opened') {
-    sessionStats.daily[todayKey].opened++;
-  } else if (action === 'closed') {
-    sessionStats.daily[todayKey].closed++;
-  }
-  
-  // Keep only last 30 days of session stats
-  const keys = Object.keys(sessionStats.daily).sort();
-  if (keys.length > 30) {
-    const keysToRemove = keys.slice(0, keys.length - 30);
-    keysToRemove.forEach(key => delete sessionStats.daily[key]);
-  }
-  
-  await chrome.storage.local.set({ sessionStats });
+// A record created this session for a restored tab should give way to the
+// tab's history from the previous session when one exists
+function isReplaceableByHistory(record, tab, tabStats, sessionStart) {
+  if (record.createdAt < sessionStart) return false;
+
+  const url = getTabUrl(tab);
+  return Object.values(tabStats).some(previous =>
+    previous.createdAt < sessionStart && previous.url === url
+  );
 }
 
-// Track all currently open tabs on startup
-async function trackExistingTabs() {
-  const tabs = await chrome.tabs.query({});
-  const now = Date.now();
-  
-  for (const tab of tabs) {
-    await trackTabCreation(tab, now);
-  }
+// Map previous window ids to current ones by the number of shared URLs
+function mapPreviousWindows(records, tabs) {
+  const overlap = new Map();
+  tabs.forEach(tab => {
+    const url = getTabUrl(tab);
+    records.forEach(record => {
+      if (record.url !== url) return;
+      const key = `${record.windowId}:${tab.windowId}`;
+      overlap.set(key, (overlap.get(key) || 0) + 1);
+    });
+  });
+
+  const windowMap = new Map();
+  const usedWindows = new Set();
+  Array.from(overlap.entries())
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key]) => {
+      const [previousId, currentId] = key.split(':').map(Number);
+      if (windowMap.has(previousId) || usedWindows.has(currentId)) return;
+      windowMap.set(previousId, currentId);
+      usedWindows.add(currentId);
+    });
+
+  return windowMap;
+}
+
+// Move a previous record onto a current tab, keeping its history
+function carryForwardRecord(record, tab) {
+  const url = getTabUrl(tab) || record.url;
+  return {
+    ...record,
+    id: tab.id,
+    url,
+    title: tab.title || record.title,
+    windowId: tab.windowId,
+    index: tab.index,
+    groupId: tab.groupId ?? -1,
+    domain: extractDomain(url)
+  };
+}
+
+// Build a fresh record for a tab
+function createTabRecord(tab, timestamp) {
+  const url = getTabUrl(tab);
+  return {
+    id: tab.id,
+    url,
+    title: tab.title || 'New Tab',
+    windowId: tab.windowId,
+    index: tab.index,
+    groupId: tab.groupId ?? -1,
+    incognito: tab.incognito || false,
+    createdAt: timestamp,
+    lastAccessedAt: timestamp,
+    activationCount: 1,
+    domain: extractDomain(url)
+  };
+}
+
+// Restored tabs may not have committed their URL yet
+function getTabUrl(tab) {
+  return tab.url || tab.pendingUrl || '';
+}
+
+// Find a tab from an ended session that is being restored, and take it out of history.
+// Records of the session are written at startup; the ones not restored within
+// SESSION_RESTORE_WINDOW stay ordinary history, so a page opened again later
+// starts a record of its own.
+async function takeRestoredRecord(tab) {
+  const url = getTabUrl(tab);
+  if (!url || url === 'chrome://newtab/') return null;
+
+  const since = Date.now() - SESSION_RESTORE_WINDOW;
+  const [record] = await deleteHistory('closedTabs', closedTab => closedTab.closedReason === 'session-ended', { url, since, limit: 1 });
+  if (!record) return null;
+
+  delete record.closedAt;
+  delete record.closedReason;
+  return record;
 }
 
 // Track when a new tab is created
 chrome.tabs.onCreated.addListener(async (tab) => {
-  await trackTabCreation(tab, Date.now());
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
+  
+  if (isTrackableTab(tab, settings)) {
+    await trackTabCreation(tab, Date.now());
+  }
   await updateSessionStats('opened');
 });
 
 // Track when a tab is activated (user switches to it)
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  const now = Date.now();
+  const settings = await getSettings();
   const tab = await chrome.tabs.get(activeInfo.tabId);
-  await trackTabActivation(tab, Date.now());
+  
+  if (isTrackableTab(tab, settings)) {
+    await trackTabActivation(tab, now);
+  }
+  await restartFocusSegment(now);
 });
 
 // Track when a tab is updated (URL change, title change, etc.)
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.url || changeInfo.title) {
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
+  
+  if (isExcludedTab(tab, settings)) {
+    // Navigated to an excluded site: forget the tab instead of recording it
+    if (changeInfo.url) {
+      await forgetTab(tabId);
+    }
+  } else if (changeInfo.url || changeInfo.title || changeInfo.groupId !== undefined) {
     await trackTabUpdate(tab, Date.now());
   }
+  
+  // A suspended tab was reloaded, so it holds its memory again
+  if (changeInfo.discarded === false) {
+    await trackTabResumed(tabId);
+  }
+  
+  // Time spent before navigating away belongs to the previous domain
+  if (changeInfo.url && tab.active) {
+    await restartFocusSegment(Date.now());
+  }
 });
 
 // Track when a tab is removed
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
-  await trackTabRemoval(tabId, Date.now());
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
+  
+  const now = Date.now();
+  await endFocusSegment(now, tabId);
+  await trackTabRemoval(tabId, now);
   await updateSessionStats('closed');
 });
 
-// Helper functions for tracking
-async function trackTabCreation(tab, timestamp) {
-  const { tabStats } = await chrome.storage.local.get('tabStats');
-  
-  tabStats[tab.id] = {
-    id: tab.id,
-    url: tab.url || '',
-    title: tab.title || 'New Tab',
-    windowId: tab.windowId,
-    createdAt: timestamp,
-    lastAccessedAt: timestamp,
-    activationCount: 1,
-    domain: extractDomain(tab.url || '')
-  };
-  
-  await chrome.storage.local.set({ tabStats });
-}
+// Discarding or prerendering can swap a tab for a new one with another id
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  await trackTabReplacement(addedTabId, removedTabId);
+});
+
+// Track browser window focus, which starts and stops focused time
+chrome.windows.onFocusChanged.addListener(async () => {
+  await restartFocusSegment(Date.now());
+});
 
-async function trackTabActivation(tab, timestamp) {
-  const { tabStats } = await chrome.storage.local.get('tabStats');
+// Stop counting focused time while the user is idle or the screen is locked
+chrome.idle.onStateChanged.addListener(async (state) => {
+  const now = Date.now();
   
-  if (tabStats[tab.id]) {
-    tabStats[tab.id].lastAccessedAt = timestamp;
-    tabStats[tab.id].activationCount = (tabStats[tab.id].activationCount || 0) + 1;
+  if (state === 'active') {
+    // Coming back from sleep can skip the idle event, leaving a segment whose
+    // real end is unknown, so it is dropped rather than credited
+    await discardFocusSegment();
+    await restartFocusSegment(now);
   } else {
-    // Tab wasn't tracked yet, create entry
-    await trackTabCreation(tab, timestamp);
-    return;
+    // The idle event fires after the detection interval has already passed
+    const idleSince = state === 'idle' ? now - IDLE_DETECTION_SECONDS * 1000 : now;
+    await endFocusSegment(idleSince);
   }
+});
+
+// Track when a tab is moved within a window
+chrome.tabs.onMoved.addListener(async (tabId, moveInfo) => {
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
   
-  await chrome.storage.local.set({ tabStats });
-}
+  await trackTabPosition(tabId, moveInfo.windowId, moveInfo.toIndex);
+});
 
-async function trackTabUpdate(tab, timestamp) {
-  const { tabStats } = await chrome.storage.local.get('tabStats');
+// Track when a tab is moved to another window
+chrome.tabs.onAttached.addListener(async (tabId, attachInfo) => {
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
   
-  if (tabStats[tab.id]) {
-    tabStats[tab.id].url = tab.url || tabStats[tab.id].url;
-    tabStats[tab.id].title = tab.title || tabStats[tab.id].title;
-    tabStats[tab.id].domain = extractDomain(tab.url || '');
-  } else {
-    // Tab wasn't tracked yet, create entry
-    await trackTabCreation(tab, timestamp);
+  await trackTabPosition(tabId, attachInfo.newWindowId, attachInfo.newPosition);
+});
+
+// Pause, resume and apply exclusions when settings change in the dashboard
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) return;
+  
+  const previous = changes.settings.oldValue || {};
+  const current = changes.settings.newValue || {};
+  const now = Date.now();
+  
+  if (!!previous.autoCloseEnabled !== !!current.autoCloseEnabled) {
+    await scheduleAutoCleanup(current);
+  }
+  
+  if (previous.trackingEnabled !== false && current.trackingEnabled === false) {
+    console.log('Tab tracking paused');
+    await endFocusSegment(now);
     return;
   }
   
-  await chrome.storage.local.set({ tabStats });
+  if (previous.trackingEnabled === false && current.trackingEnabled !== false) {
+    // Catch up on tabs opened, closed or navigated while paused
+    console.log('Tab tracking resumed');
+    await trackExistingTabs({ idsStable: true });
+    await restartFocusSegment(now);
+    return;
+  }
+  
+  if (exclusionsChanged(previous, current)) {
+    // Credit the open segment first, so a newly excluded site is purged with the rest
+    await restartFocusSegment(now);
+    await purgeExcludedData(current);
+  }
+});
+
+// Helper functions for tracking
+// Each one queues a mutation on the state layer, which serializes them and
+// batches the resulting storage writes. Closed tabs, and the opens, switches
+// and closes for the Overview's heatmap, are appended to the history database.
+function trackTabCreation(tab, timestamp) {
+  return updateState(['tabStats'], async (state) => {
+    await recordActivity('opened', timestamp, extractDomain(getTabUrl(tab)));
+    
+    // Undoing a close may already have put the tab's original record back
+    if (state.tabStats[tab.id]) return;
+    await createOrRestoreRecord(state, tab, timestamp);
+  });
 }
 
-async function trackTabRemoval(tabId, timestamp) {
-  const { tabStats, closedTabs = [] } = await chrome.storage.local.get(['tabStats', 'closedTabs']);
-  
-  if (tabStats[tabId]) {
-    // Move to closed tabs history
-    const closedTab = {
-      ...tabStats[tabId],
-      closedAt: timestamp
-    };
+function recordActivity(type, timestamp, domain) {
+  return addHistory('activityLog', [{ type, timestamp, domain }]);
+}
+
+// Tabs restored from an ended session pick up their previous history
+async function createOrRestoreRecord(state, tab, timestamp) {
+  const restored = await takeRestoredRecord(tab);
+  state.tabStats[tab.id] = restored
+    ? carryForwardRecord(restored, tab)
+    : createTabRecord(tab, timestamp);
+}
+
+function trackTabActivation(tab, timestamp) {
+  return updateState(['tabStats'], async (state) => {
+    const tabStat = state.tabStats[tab.id];
     
-    closedTabs.push(closedTab);
+    if (tabStat) {
+      tabStat.lastAccessedAt = timestamp;
+      tabStat.activationCount = (tabStat.activationCount || 0) + 1;
+    } else {
+      // Tab wasn't tracked yet, create entry
+      await createOrRestoreRecord(state, tab, timestamp);
+    }
     
-    // Clean up old closed tabs (keep only recent ones based on retention policy)
-    const { settings } = await chrome.storage.local.get('settings');
-    const retentionMs = (settings?.dataRetentionDays || 30) * 24 * 60 * 60 * 1000;
-    const cutoffTime = timestamp - retentionMs;
+    await recordActivity('activated', timestamp, state.tabStats[tab.id].domain);
+  });
+}
+
+function trackTabUpdate(tab, timestamp) {
+  return updateState(['tabStats'], async (state) => {
+    const tabStat = state.tabStats[tab.id];
     
-    const filteredClosedTabs = closedTabs.filter(tab => tab.closedAt > cutoffTime);
+    if (tabStat) {
+      tabStat.url = tab.url || tabStat.url;
+      tabStat.title = tab.title || tabStat.title;
+      tabStat.domain = extractDomain(tab.url || '');
+      tabStat.windowId = tab.windowId;
+      tabStat.index = tab.index;
+      tabStat.groupId = tab.groupId ?? -1;
+    } else {
+      // Tab wasn't tracked yet, create entry
+      await createOrRestoreRecord(state, tab, timestamp);
+    }
+  });
+}
+
+function trackTabPosition(tabId, windowId, index) {
+  return updateState(['tabStats'], ({ tabStats }) => {
+    if (tabStats[tabId]) {
+      tabStats[tabId].windowId = windowId;
+      tabStats[tabId].index = index;
+    }
+  });
+}
+
+function trackTabResumed(tabId) {
+  return updateState(['tabStats'], ({ tabStats }) => {
+    if (tabStats[tabId]) {
+      delete tabStats[tabId].suspendedAt;
+      delete tabStats[tabId].suspendedMemoryMB;
+    }
+  });
+}
+
+// Keep a replaced tab's history under its new id
+function trackTabReplacement(addedTabId, removedTabId) {
+  return updateState(['tabStats'], ({ tabStats }) => {
+    if (!tabStats[removedTabId]) return;
     
-    // Remove from active stats
+    tabStats[addedTabId] = { ...tabStats[removedTabId], id: addedTabId };
+    delete tabStats[removedTabId];
+  });
+}
+
+// Drop a tab's record without moving it to history
+function forgetTab(tabId) {
+  return updateState(['tabStats'], ({ tabStats }) => {
     delete tabStats[tabId];
+  });
+}
+
+function exclusionsChanged(previous, current) {
+  return JSON.stringify(previous.excludedSites || []) !== JSON.stringify(current.excludedSites || [])
+    || (previous.excludeIncognito !== false) !== (current.excludeIncognito !== false);
+}
+
+// Remove everything recorded about excluded tabs and domains
+function purgeExcludedData(settings) {
+  return updateState(['tabStats', 'domainStats', ...PURGED_KEYS], (state) => purgeExcludedRecords(state, settings));
+}
+
+async function purgeExcludedRecords(state, settings) {
+  Object.values(state.tabStats).forEach(record => {
+    if (isExcludedTab(record, settings)) {
+      delete state.tabStats[record.id];
+    }
+  });
+  
+  await deleteHistory('closedTabs', record => isExcludedTab(record, settings));
+  
+  Object.keys(state.domainStats).forEach(domain => {
+    if (isExcludedDomain(domain, settings)) {
+      delete state.domainStats[domain];
+    }
+  });
+  
+  await deleteHistory('activityLog', event => isExcludedDomain(event.domain, settings));
+
+  // Undo entries keep their place so the operation still counts; their tabs can't be reopened
+  state.undoStack.forEach(operation => {
+    operation.tabs = operation.tabs.map(entry => (
+      entry.url && isExcludedTab({ url: entry.url, incognito: entry.record?.incognito }, settings)
+        ? redactUndoTab(entry)
+        : entry
+    ));
+  });
+
+  state.sessionSnapshots.forEach(snapshot => {
+    snapshot.windows = snapshot.windows
+      .map(win => ({ ...win, tabs: win.tabs.filter(tab => !isExcludedTab(tab, settings)) }))
+      .filter(win => win.tabs.length > 0);
+  });
+
+  state.cleanupLog = state.cleanupLog
+    .map(entry => ({ ...entry, tabs: entry.tabs.filter(tab => !isExcludedTab(tab, settings)) }))
+    .filter(entry => entry.tabs.length > 0);
+
+  const excludedTabIds = new Set((await chrome.tabs.query({}))
+    .filter(tab => isExcludedTab(tab, settings))
+    .map(tab => tab.id));
+  state.mruStack = state.mruStack.filter(tabId => !excludedTabIds.has(tabId));
+}
+
+// History past the retention period is removed by storage compaction
+function trackTabRemoval(tabId, timestamp) {
+  return updateState(['tabStats'], async (state) => {
+    if (!state.tabStats[tabId]) return;
     
-    await chrome.storage.local.set({ 
-      tabStats,
-      closedTabs: filteredClosedTabs
-    });
+    await recordActivity('closed', timestamp, state.tabStats[tabId].domain);
+    
+    // Move to closed tabs history
+    await addHistory('closedTabs', [{
+      ...state.tabStats[tabId],
+      closedAt: timestamp
+    }]);
+    
+    // Remove from active stats
+    delete state.tabStats[tabId];
+  });
+}
+
+// Focused time tracking
+// The open segment lives in session storage so it survives worker suspension:
+// { tabId, domain, startedAt }
+const IDLE_DETECTION_SECONDS = 60;
+let focusQueue = Promise.resolve();
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+// Run focus changes one at a time, since each reads and replaces the open segment
+function queueFocusChange(task) {
+  focusQueue = focusQueue.then(task).catch(error => {
+    console.error('Error tracking focused time:', error);
+  });
+  return focusQueue;
+}
+
+// End the open segment (if any) and start one for the tab the user is looking at
+function restartFocusSegment(timestamp) {
+  return queueFocusChange(async () => {
+    await closeFocusSegment(timestamp);
+    
+    const focusedTab = await getFocusedTab();
+    const settings = await getSettings();
+    if (focusedTab && isTrackableTab(focusedTab, settings)) {
+      await chrome.storage.session.set({
+        focusSegment: {
+          tabId: focusedTab.id,
+          domain: extractDomain(getTabUrl(focusedTab)),
+          startedAt: timestamp
+        }
+      });
+    }
+  });
+}
+
+// End the open segment, optionally only if it belongs to the given tab
+function endFocusSegment(timestamp, tabId = null) {
+  return queueFocusChange(() => closeFocusSegment(timestamp, tabId));
+}
+
+// Drop the open segment without crediting its time
+function discardFocusSegment() {
+  return queueFocusChange(() => chrome.storage.session.remove('focusSegment'));
+}
+
+async function closeFocusSegment(timestamp, tabId = null) {
+  const { focusSegment } = await chrome.storage.session.get('focusSegment');
+  if (!focusSegment || (tabId !== null && focusSegment.tabId !== tabId)) return;
+  
+  await chrome.storage.session.remove('focusSegment');
+  
+  const elapsed = timestamp - focusSegment.startedAt;
+  if (elapsed > 0) {
+    await trackActiveTime(focusSegment, elapsed);
   }
 }
 
-// Extract domain from URL
-function extractDomain(url) {
-  if (!url) return 'unknown';
+// The active tab of the focused window, or null when the browser is not
+// focused or the user is idle
+async function getFocusedTab() {
+  const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (idleState !== 'active') return null;
   
   try {
-    const urlObj = new URL(url);
-    return urlObj.hostname || 'unknown';
+    const focusedWindow = await chrome.windows.getLastFocused({ populate: true });
+    if (!focusedWindow.focused) return null;
+    return focusedWindow.tabs.find(tab => tab.active) || null;
   } catch (e) {
-    return 'unknown';
+    return null; // No windows open
   }
 }
 
+// domainStats: { "github.com": { activeTime: 3600000 } }
+function trackActiveTime(segment, elapsed) {
+  return updateState(['tabStats', 'domainStats'], ({ tabStats, domainStats }) => {
+    if (tabStats[segment.tabId]) {
+      tabStats[segment.tabId].activeTime = (tabStats[segment.tabId].activeTime || 0) + elapsed;
+    }
+    
+    if (!domainStats[segment.domain]) {
+      domainStats[segment.domain] = { activeTime: 0 };
+    }
+    domainStats[segment.domain].activeTime += elapsed;
+  });
+}
+
 // Handle extension icon click
 chrome.action.onClicked.addListener(async (tab) => {
   console.log('Extension icon clicked');
-  
-  // Try to open side panel (Chrome 114+)
+  await openSidePanel(tab.windowId);
+});
+
+// Open the side panel (Chrome 114+), or the dashboard where there is none.
+// Must be called before anything is awaited: opening the side panel needs
+// the user gesture of the click or shortcut.
+async function openSidePanel(windowId) {
   if (chrome.sidePanel && chrome.sidePanel.open) {
     try {
-      await chrome.sidePanel.open({ windowId: tab.windowId });
+      await chrome.sidePanel.open({ windowId });
       console.log('Side panel opened');
     } catch (error) {
       console.log('Side panel not supported, opening dashboard instead:', error);
@@ -220,24 +692,197 @@ chrome.action.onClicked.addListener(async (tab) => {
       url: chrome.runtime.getURL('dashboard/dashboard.html')
     });
   }
+}
+
+// Open the quick switcher in a popup window over the focused window. Pressed
+// again while it is open, the shortcut moves down its list, like Alt+Tab.
+async function openQuickSwitcher() {
+  const url = chrome.runtime.getURL(QUICK_SWITCHER_PAGE);
+  const [existing] = await chrome.tabs.query({ url });
+  if (existing) {
+    await chrome.windows.update(existing.windowId, { focused: true });
+    chrome.runtime.sendMessage({ action: 'quickSwitcherNext' }).catch(() => {});
+    return;
+  }
+
+  const { width, height } = QUICK_SWITCHER_SIZE;
+  const parent = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+  const position = parent
+    ? { left: Math.round(parent.left + (parent.width - width) / 2), top: Math.round(parent.top + (parent.height - height) / 3) }
+    : {};
+  await chrome.windows.create({ url, type: 'popup', width, height, focused: true, ...position });
+}
+
+// Keyboard shortcuts declared under "commands" in the manifest. They work on
+// any page and can be changed at chrome://extensions/shortcuts.
+const COMMAND_HANDLERS = {
+  'quick-switcher': async () => {
+    await openQuickSwitcher();
+    return null;
+  },
+  'jump-to-recent-tab': async () => {
+    await switchToPreviousTab();
+    return null;
+  },
+  'close-duplicates': async (tab) => {
+    // No tab when focus is in devtools; never fall through to every window
+    const windowId = tab?.windowId ?? await getFocusedWindowId();
+    if (windowId === null) return null;
+    const { closed } = await closeDuplicateTabs({ windowId, source: 'shortcut' });
+    return String(closed);
+  },
+  'suspend-inactive': async () => {
+    const settings = await getSettings();
+    const inactiveTabs = (await findInactiveTabs()).filter(t => !t.discarded && !isProtectedTab(t, settings));
+    const { suspended } = await suspendTabs(inactiveTabs.map(t => t.id));
+    return String(suspended);
+  },
+  'snapshot-session': async () => {
+    await saveSessionSnapshot();
+    return '✓';
+  }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'open-side-panel') {
+    // No await before this: it would lose the shortcut's user gesture
+    await openSidePanel(tab?.windowId);
+    return;
+  }
+
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+
+  try {
+    const badge = await handler(tab);
+    await flushState();
+    if (badge) {
+      await flashBadge(badge);
+    }
+  } catch (error) {
+    console.error(`Error running shortcut ${command}:`, error);
+  }
 });
 
+// Briefly show a shortcut's result (tabs closed or suspended, or a check mark)
+// on the toolbar icon, since shortcuts have no page to report to
+async function flashBadge(text) {
+  await chrome.action.setBadgeText({ text });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ text: '' });
+  }, BADGE_DURATION);
+}
+
 // Listen for messages from UI components
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getTabStats') {
-    chrome.storage.local.get(['tabStats', 'closedTabs', 'settings'], (result) => {
-      sendResponse(result);
+    // Write pending changes first so the response reflects every event so far
+    flushState().then(async () => {
+      const result = await chrome.storage.local.get(['tabStats', 'settings']);
+      sendResponse({ ...result, closedTabs: await queryHistory('closedTabs') });
     });
     return true; // Keep channel open for async response
   }
   
   if (request.action === 'refreshStats') {
-    trackExistingTabs().then(() => {
-      sendResponse({ success: true });
+    trackExistingTabs()
+      .then(flushState)
+      .then(() => {
+        sendResponse({ success: true });
+      });
+    return true;
+  }
+  
+  if (request.action === 'compactStorage') {
+    compactStorage().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'previewCleanup') {
+    previewAutoCleanup().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'suspendTabs') {
+    suspendTabs(request.tabIds || [], request.estimates)
+      .then(async (result) => {
+        await flushState();
+        sendResponse(result);
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'closeTabs') {
+    closeTabs(request.tabIds || [], { source: request.source, reasons: request.reasons, mergeInto: request.mergeInto })
+      .then(async (result) => {
+        await flushState();
+        sendResponse(result);
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'undoClose') {
+    undoClose(request.operationId)
+      .then(async (result) => {
+        await flushState();
+        sendResponse(result);
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'getRecentTabs') {
+    getRecentTabs().then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'switchToTab') {
+    switchToRecentTab(request.tabId).then((switched) => {
+      sendResponse({ success: switched });
     });
     return true;
   }
   
+  if (request.action === 'groupTabs') {
+    const grouping = request.tabIds
+      ? groupTabsAs(request.tabIds, request.title)
+      : (request.by === 'review' ? groupTabsForReview : groupTabsByDomain)();
+    grouping
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'saveSession') {
+    saveSessionSnapshot(request.name)
+      .then(async (snapshot) => {
+        await flushState();
+        sendResponse(snapshot);
+      });
+    return true;
+  }
+  
+  if (request.action === 'restoreSession') {
+    restoreSessionSnapshot(request.snapshotId)
+      .then(async (result) => {
+        await flushState();
+        sendResponse(result);
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'deleteSession') {
+    deleteSessionSnapshot(request.snapshotId)
+      .then(flushState)
+      .then(() => {
+        sendResponse({ success: true });
+      });
+    return true;
+  }
+  
   if (request.action === 'openSidePanel') {
     // Handle request to open side panel from UI
     chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
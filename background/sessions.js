@@ -0,0 +1,127 @@
+// Session Snapshots
+// Named copies of every window and its tabs, with their statistics, that can
+// be restored later into new windows.
+
+import { updateState, readState, getSettings } from './state.js';
+import { calculateStats } from '../shared/stats.js';
+import { extractDomain } from '../shared/utils.js';
+import { isExcludedTab } from '../shared/exclusions.js';
+
+const MAX_SNAPSHOTS = 50;
+
+/**
+ * Save all open windows and tabs as a named snapshot
+ * @param {string} name - Name shown in the dashboard
+ * @returns {Promise<Object>} - The saved snapshot
+ */
+export async function saveSessionSnapshot(name) {
+  const settings = await getSettings();
+  const { tabStats } = await readState();
+
+  // Excluded and incognito tabs are never written to storage
+  const tabs = (await chrome.tabs.query({})).filter(tab => !isExcludedTab(tab, settings));
+  const { tabsByWindow } = calculateStats(tabStats, tabs);
+  const timestamp = Date.now();
+
+  const snapshot = {
+    id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name?.trim() || `Session ${new Date(timestamp).toLocaleString()}`,
+    createdAt: timestamp,
+    windows: tabsByWindow.map(({ tabs: windowTabs }) => ({
+      tabs: windowTabs
+        .sort((a, b) => a.index - b.index)
+        .map(tab => createSnapshotTab(tab, tabStats[tab.id]))
+    }))
+  };
+
+  await updateState(['sessionSnapshots'], (state) => {
+    state.sessionSnapshots.push(snapshot);
+    state.sessionSnapshots = state.sessionSnapshots.slice(-MAX_SNAPSHOTS);
+  });
+
+  return snapshot;
+}
+
+/**
+ * Open a snapshot's windows again, one new window per saved window.
+ * Restored tabs continue the statistics they had when the snapshot was taken.
+ * @param {string} snapshotId - Snapshot to restore
+ * @returns {Promise<Object>} - { windows, tabs } opened
+ */
+export async function restoreSessionSnapshot(snapshotId) {
+  const { sessionSnapshots } = await readState();
+  const snapshot = sessionSnapshots.find(entry => entry.id === snapshotId);
+  if (!snapshot) {
+    return { windows: 0, tabs: 0 };
+  }
+
+  const restored = [];
+  for (const savedWindow of snapshot.windows) {
+    const savedTabs = savedWindow.tabs.filter(tab => tab.url);
+    if (savedTabs.length === 0) continue;
+
+    try {
+      const win = await chrome.windows.create({ url: savedTabs.map(tab => tab.url), focused: false });
+      for (const [i, tab] of win.tabs.entries()) {
+        if (savedTabs[i].pinned) {
+          await chrome.tabs.update(tab.id, { pinned: true });
+        }
+        restored.push({ tab, saved: savedTabs[i] });
+      }
+    } catch (error) {
+      console.error(`Error restoring a window of "${snapshot.name}":`, error);
+    }
+  }
+
+  const settings = await getSettings();
+  if (settings.trackingEnabled !== false) {
+    const now = Date.now();
+    await updateState(['tabStats'], ({ tabStats }) => {
+      restored.forEach(({ tab, saved }) => {
+        tabStats[tab.id] = {
+          id: tab.id,
+          url: saved.url,
+          title: saved.title,
+          windowId: tab.windowId,
+          index: tab.index,
+          incognito: false,
+          createdAt: saved.createdAt || now,
+          lastAccessedAt: saved.lastAccessedAt || now,
+          activationCount: saved.activationCount || 1,
+          activeTime: saved.activeTime || 0,
+          domain: extractDomain(saved.url)
+        };
+      });
+    });
+  }
+
+  return {
+    windows: new Set(restored.map(({ tab }) => tab.windowId)).size,
+    tabs: restored.length
+  };
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} snapshotId - Snapshot to delete
+ * @returns {Promise<void>}
+ */
+export function deleteSessionSnapshot(snapshotId) {
+  return updateState(['sessionSnapshots'], (state) => {
+    state.sessionSnapshots = state.sessionSnapshots.filter(entry => entry.id !== snapshotId);
+  });
+}
+
+// Keep what is needed to reopen the tab and continue its statistics
+function createSnapshotTab(tab, record) {
+  return {
+    url: tab.url || tab.pendingUrl || '',
+    title: tab.title,
+    pinned: tab.pinned,
+    domain: record?.domain || extractDomain(tab.url),
+    createdAt: record?.createdAt,
+    lastAccessedAt: record?.lastAccessedAt,
+    activationCount: record?.activationCount,
+    activeTime: record?.activeTime
+  };
+}
@@ -0,0 +1,145 @@
+// Settings Sync
+// When "Sync settings" is on, keeps the synced settings (see shared/sync.js)
+// the same on every device through chrome.storage.sync. Settings are stored
+// there as JSON split into chunks, with a header item written in the same
+// call, so other devices never see half of an update:
+//   settingsSync: { chunks, updatedAt, schemaVersion }
+//   settingsSync.0, settingsSync.1, ...: the JSON, in order
+// The last synced values are kept on this device (settingsSyncState.base) to
+// tell which side changed a setting.
+
+import { SCHEMA_VERSION, migrateData } from '../shared/schema.js';
+import { pickSyncedSettings, mergeSyncedSettings, splitIntoChunks, getStoredSize, isSameValue } from '../shared/sync.js';
+
+const SYNC_HEADER_KEY = 'settingsSync';
+const SYNC_CHUNK_PREFIX = 'settingsSync.';
+const SYNC_STATE_KEY = 'settingsSyncState';
+const SYNC_RETRY_ALARM = 'settings-sync-retry';
+const SYNC_RETRY_MINUTES = 5;
+const SYNC_DELAY = 2000; // Let a burst of changes settle; sync storage limits writes per minute (ms)
+
+// A problem retrying won't fix
+class SyncError extends Error {}
+
+let syncTimer = null;
+let syncing = Promise.resolve();
+
+/**
+ * Sync settings now, after any sync already running
+ * @returns {Promise<void>}
+ */
+export function syncSettings() {
+  syncing = syncing.then(reconcileSettings).catch(error => {
+    console.error('Error syncing settings:', error);
+  });
+  return syncing;
+}
+
+async function reconcileSettings() {
+  const { settings, [SYNC_STATE_KEY]: syncState = {} } = await chrome.storage.local.get(['settings', SYNC_STATE_KEY]);
+
+  if (!settings?.syncSettings) {
+    // Turning sync back on later joins the synced settings again
+    if (syncState.base) {
+      await chrome.storage.local.set({ [SYNC_STATE_KEY]: {} });
+    }
+    return;
+  }
+
+  try {
+    const remote = await readSyncedSettings();
+    const local = pickSyncedSettings(settings);
+    const merged = mergeSyncedSettings({
+      local,
+      remote: remote?.settings,
+      base: syncState.base,
+      localUpdatedAt: settings.updatedAt,
+      remoteUpdatedAt: remote?.updatedAt
+    });
+    const updatedAt = Math.max(settings.updatedAt || 0, remote?.updatedAt || 0) || Date.now();
+
+    if (!isSameValue(merged, local)) {
+      await chrome.storage.local.set({ settings: { ...settings, ...merged, updatedAt } });
+    }
+    let bytes = syncState.bytes || 0;
+    if (!remote || !isSameValue(merged, remote.settings)) {
+      bytes = await writeSyncedSettings(merged, updatedAt);
+    }
+
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: { base: merged, syncedAt: Date.now(), bytes, error: null } });
+  } catch (error) {
+    console.warn('Settings sync failed:', error.message);
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: { ...syncState, error: error.message } });
+    if (!(error instanceof SyncError)) {
+      chrome.alarms.create(SYNC_RETRY_ALARM, { delayInMinutes: SYNC_RETRY_MINUTES });
+    }
+  }
+}
+
+// Returns { settings, updatedAt }, or null when nothing has been synced yet
+async function readSyncedSettings() {
+  const items = await chrome.storage.sync.get(null);
+  const header = items[SYNC_HEADER_KEY];
+  if (!header) return null;
+
+  if (header.schemaVersion > SCHEMA_VERSION) {
+    throw new SyncError('Synced settings come from a newer version of Tab Stats. Update the extension on this device to sync.');
+  }
+
+  const chunks = Array.from({ length: header.chunks }, (_, i) => items[`${SYNC_CHUNK_PREFIX}${i}`]);
+  if (chunks.some(chunk => typeof chunk !== 'string')) {
+    throw new Error('Synced settings are incomplete');
+  }
+
+  const data = { settings: JSON.parse(chunks.join('')) };
+  migrateData(data, header.schemaVersion ?? 0);
+  return { settings: pickSyncedSettings(data.settings), updatedAt: header.updatedAt || 0 };
+}
+
+// Returns the bytes used in sync storage
+async function writeSyncedSettings(settings, updatedAt) {
+  const { QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS } = chrome.storage.sync;
+  // Room for the longest chunk key
+  const chunks = splitIntoChunks(JSON.stringify(settings), QUOTA_BYTES_PER_ITEM - SYNC_CHUNK_PREFIX.length - 4);
+
+  const items = { [SYNC_HEADER_KEY]: { chunks: chunks.length, updatedAt, schemaVersion: SCHEMA_VERSION } };
+  chunks.forEach((chunk, i) => {
+    items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
+  });
+
+  const bytes = Object.entries(items).reduce((sum, [key, value]) => sum + key.length + getStoredSize(value), 0);
+  if (bytes > QUOTA_BYTES || chunks.length + 1 > MAX_ITEMS) {
+    throw new SyncError(`Settings are too large to sync (${Math.ceil(bytes / 1024)} KB of ${QUOTA_BYTES / 1024} KB). Remove some recommendation rules or exclusions.`);
+  }
+
+  const { [SYNC_HEADER_KEY]: previous } = await chrome.storage.sync.get(SYNC_HEADER_KEY);
+  await chrome.storage.sync.set(items);
+
+  // Chunks left over from a larger previous version
+  const staleKeys = [];
+  for (let i = chunks.length; i < (previous?.chunks || 0); i++) {
+    staleKeys.push(`${SYNC_CHUNK_PREFIX}${i}`);
+  }
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+  return bytes;
+}
+
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncSettings, SYNC_DELAY);
+}
+
+// Settings saved on this device, or synced from another one
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'local' && changes.settings) || (areaName === 'sync' && changes[SYNC_HEADER_KEY])) {
+    scheduleSync();
+  }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SYNC_RETRY_ALARM) {
+    await syncSettings();
+  }
+});
@@ -0,0 +1,173 @@
+// Tracked State Layer
+// Keeps the service worker's statistics in memory, applies mutations one at a
+// time and writes them to chrome.storage.local in coalesced batches.
+//
+// Every tab event used to read and rewrite whole storage keys on its own, so
+// bursts of events raced and dropped updates. Mutations queued here always
+// see the result of the previous one, and a burst of events costs one write.
+
+import { getDefaultSettings } from '../shared/schema.js';
+
+// Keys owned by this layer, with the value used when storage has none.
+// Closed tabs and the activity log are append-only and kept in IndexedDB
+// instead (see shared/history-db.js).
+const STATE_DEFAULTS = {
+  tabStats: () => ({}),
+  sessionStats: () => ({ daily: {} }),
+  domainStats: () => ({}),
+  cleanupLog: () => [],
+  undoStack: () => [],
+  sessionSnapshots: () => [],
+  mruStack: () => [],
+  trendHistory: () => ({ hourly: [], daily: [] })
+};
+
+export const STATE_KEYS = Object.keys(STATE_DEFAULTS);
+
+const FLUSH_DELAY = 250; // Wait for a burst of events to settle (ms)
+const MAX_FLUSH_DELAY = 2000; // Never hold unwritten changes longer than this (ms)
+const MAX_PENDING_WRITES = 5; // Own writes remembered per key to recognise their change events
+
+let state = null;
+let settings = null;
+let queue = Promise.resolve();
+let flushTimer = null;
+let firstDirtyAt = null;
+let flushing = Promise.resolve();
+const dirtyKeys = new Set();
+const pendingWrites = new Map(); // key -> JSON strings of writes not yet seen in onChanged
+
+/**
+ * Load all owned keys from storage into memory (once per worker lifetime)
+ */
+async function ensureLoaded() {
+  if (state) return state;
+
+  const result = await chrome.storage.local.get(STATE_KEYS);
+  state = {};
+  STATE_KEYS.forEach(key => {
+    state[key] = result[key] ?? STATE_DEFAULTS[key]();
+  });
+  return state;
+}
+
+/**
+ * Queue a mutation of the tracked state.
+ * Mutations run strictly in order, each against the result of the previous one.
+ * A mutation must not queue another mutation and wait for it.
+ * @param {Array<string>} keys - State keys the mutation may change
+ * @param {Function} mutation - Receives the state object; may be async
+ * @returns {Promise<*>} - Resolves with the mutation's return value
+ */
+export function updateState(keys, mutation) {
+  const result = queue.then(async () => {
+    const current = await ensureLoaded();
+    const value = await mutation(current);
+    keys.forEach(key => dirtyKeys.add(key));
+    scheduleFlush();
+    return value;
+  });
+
+  // Keep the queue alive if a mutation throws
+  queue = result.catch(error => {
+    console.error('Error updating tab state:', error);
+  });
+  return result;
+}
+
+/**
+ * Read the tracked state after all queued mutations have been applied.
+ * The returned object is live and must not be modified.
+ * @returns {Promise<Object>} - State object keyed like storage
+ */
+export async function readState() {
+  await queue;
+  return ensureLoaded();
+}
+
+/**
+ * Get the user's settings, cached for the lifetime of the worker
+ * @returns {Promise<Object>} - Settings object (defaults if never saved)
+ */
+export async function getSettings() {
+  if (!settings) {
+    const result = await chrome.storage.local.get('settings');
+    settings = result.settings || getDefaultSettings();
+  }
+  return settings;
+}
+
+/**
+ * Write any pending changes to storage now
+ * @returns {Promise<void>}
+ */
+export async function flushState() {
+  await queue;
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (dirtyKeys.size > 0) {
+    const updates = {};
+    dirtyKeys.forEach(key => {
+      updates[key] = state[key];
+      rememberWrite(key, updates[key]);
+    });
+    dirtyKeys.clear();
+    firstDirtyAt = null;
+
+    flushing = flushing.then(() => chrome.storage.local.set(updates)).catch(error => {
+      console.error('Error writing tab state:', error);
+    });
+  }
+
+  return flushing;
+}
+
+// Debounce writes, but never beyond MAX_FLUSH_DELAY from the first change
+function scheduleFlush() {
+  const now = Date.now();
+  if (firstDirtyAt === null) {
+    firstDirtyAt = now;
+  }
+
+  const delay = Math.min(FLUSH_DELAY, Math.max(0, firstDirtyAt + MAX_FLUSH_DELAY - now));
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flushState, delay);
+}
+
+function rememberWrite(key, value) {
+  const writes = pendingWrites.get(key) || [];
+  writes.push(JSON.stringify(value));
+  pendingWrites.set(key, writes.slice(-MAX_PENDING_WRITES));
+}
+
+// Pick up changes made outside the worker (e.g. "Clear All Data" in the
+// dashboard), ignoring the change events caused by our own writes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.settings) {
+    settings = changes.settings.newValue || getDefaultSettings();
+  }
+
+  if (!state) return;
+
+  Object.entries(changes).forEach(([key, change]) => {
+    if (!(key in STATE_DEFAULTS)) return;
+
+    const writes = pendingWrites.get(key) || [];
+    const ownWriteIndex = writes.indexOf(JSON.stringify(change.newValue));
+    if (ownWriteIndex !== -1) {
+      pendingWrites.set(key, writes.slice(ownWriteIndex + 1));
+      return;
+    }
+
+    state[key] = change.newValue ?? STATE_DEFAULTS[key]();
+    dirtyKeys.delete(key);
+  });
+});
+
+// Best effort: write pending changes before the worker is shut down
+chrome.runtime.onSuspend.addListener(() => {
+  flushState();
+});
@@ -0,0 +1,549 @@
+// Tab Actions
+// Operations the UI asks the service worker to perform on tabs, so the
+// resulting statistics go through the state layer.
+
+import { updateState, readState, getSettings } from './state.js';
+import { estimateTabMemory } from '../shared/memory.js';
+import { extractDomain } from '../shared/utils.js';
+import { generateRecommendations, getInactiveTabs } from '../shared/stats.js';
+import { mergeDuplicateStats, getDuplicatePolicy, orderDuplicateGroup } from '../shared/duplicates.js';
+import { findDuplicateGroups, getNormalizationOptions } from '../shared/urls.js';
+import { deleteHistory } from '../shared/history-db.js';
+import { isExcludedTab } from '../shared/exclusions.js';
+
+const MAX_UNDO_OPERATIONS = 10;
+const MIN_DOMAIN_GROUP_SIZE = 2;
+const REVIEW_GROUP_TITLE = 'Review';
+const TAB_GROUP_NONE = -1;
+
+/**
+ * Suspend (discard) tabs: they stay in the tab strip but release their memory.
+ * The memory estimate taken just before discarding is kept on the tab's record
+ * as the amount freed.
+ * @param {Array<number>} tabIds - Tabs to suspend (currentId in the result is the id after discarding)
+ * @param {Object} estimates - Optional { tabId: MB } estimates already taken by the caller
+ * @returns {Promise<Object>} - { suspended, skipped, freedMB, tabs: [{ id, currentId, title, url, domain, memoryMB }] }
+ */
+export async function suspendTabs(tabIds, estimates = {}) {
+  const suspendedTabs = [];
+  let skipped = 0;
+
+  for (const tabId of tabIds) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (e) {
+      skipped++; // Closed in the meantime
+      continue;
+    }
+
+    // The active tab can't be discarded, and discarded tabs have nothing left to free
+    if (tab.active || tab.discarded) {
+      skipped++;
+      continue;
+    }
+
+    const memoryMB = estimates[tabId] ?? (await estimateTabMemory(tab.id, tab.url)).estimateMB;
+
+    try {
+      // Discarding may replace the tab id on some browser versions
+      const discardedTab = await chrome.tabs.discard(tabId);
+      suspendedTabs.push({
+        id: tabId,
+        currentId: discardedTab?.id ?? tabId,
+        title: tab.title,
+        url: tab.url,
+        domain: extractDomain(tab.url),
+        memoryMB
+      });
+    } catch (error) {
+      console.debug(`Could not suspend tab ${tabId}:`, error?.message || error);
+      skipped++;
+    }
+  }
+
+  const timestamp = Date.now();
+  await updateState(['tabStats'], ({ tabStats }) => {
+    suspendedTabs.forEach(({ id, currentId, memoryMB }) => {
+      // The record may not have been moved to the replacement id yet
+      const record = tabStats[currentId] || tabStats[id];
+      if (!record) return;
+      record.suspendedAt = timestamp;
+      record.suspendedMemoryMB = memoryMB;
+    });
+  });
+
+  const freedMB = suspendedTabs.reduce((sum, tab) => sum + tab.memoryMB, 0);
+  return {
+    suspended: suspendedTabs.length,
+    skipped,
+    freedMB: Math.round(freedMB * 10) / 10,
+    tabs: suspendedTabs
+  };
+}
+
+/**
+ * Close tabs and remember enough about them to undo it: URL, window, position,
+ * pinned state and the tab's statistics record.
+ * Closed duplicates can hand their history to the tab that stays open (mergeInto);
+ * undoing the close takes it back.
+ * @param {Array<number>} tabIds - Tabs to close
+ * @param {Object} options - { source: who closed them, reasons: { tabId: closedReason }, archive,
+ *   mergeInto: { tabId: survivor tabId } }
+ * @returns {Promise<Object>} - { operationId, closed: tabs that are really gone }
+ */
+export async function closeTabs(tabIds, { source = 'manual', reasons = {}, archive = false, mergeInto = {} } = {}) {
+  const tabs = (await Promise.all(
+    tabIds.map(tabId => chrome.tabs.get(tabId).catch(() => null))
+  )).filter(Boolean);
+
+  if (tabs.length === 0) {
+    return { operationId: null, closed: 0 };
+  }
+
+  const settings = await getSettings();
+  const timestamp = Date.now();
+
+  // Tag the records so they land in history with the reason they were closed,
+  // and keep a copy: a closed tab's record moves to history as soon as the
+  // removal is seen
+  const records = await updateState(['tabStats'], (state) => {
+    const copies = new Map();
+    tabs.forEach(tab => {
+      const record = state.tabStats[tab.id];
+      if (!record) return;
+      if (reasons[tab.id]) {
+        record.closedReason = reasons[tab.id];
+      }
+      if (archive) {
+        record.archived = true;
+      }
+      copies.set(tab.id, { ...record });
+    });
+    return copies;
+  });
+
+  try {
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+  } catch (error) {
+    console.error('Error closing tabs:', error);
+  }
+
+  // Only the tabs that are really gone can be undone or merged
+  const stillOpen = new Set((await Promise.all(
+    tabs.map(tab => chrome.tabs.get(tab.id).then(() => tab.id, () => null))
+  )).filter(tabId => tabId !== null));
+  const closedTabs = tabs.filter(tab => !stillOpen.has(tab.id));
+
+  const operation = await updateState(['tabStats', 'undoStack'], (state) => {
+    stillOpen.forEach(tabId => {
+      const record = state.tabStats[tabId];
+      if (!record) return;
+      if (reasons[tabId]) delete record.closedReason;
+      if (archive) delete record.archived;
+    });
+
+    if (closedTabs.length === 0) return null;
+
+    const entries = closedTabs.map(tab => {
+      const record = records.get(tab.id);
+      const entry = {
+        tabId: tab.id,
+        url: tab.url || tab.pendingUrl,
+        title: tab.title,
+        windowId: tab.windowId,
+        index: tab.index,
+        pinned: tab.pinned,
+        groupId: tab.groupId ?? TAB_GROUP_NONE,
+        record: record ? { ...record } : null
+      };
+      return tab.incognito || isExcludedTab(tab, settings) ? redactUndoTab(entry) : entry;
+    });
+
+    const entry = {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp,
+      source,
+      tabs: entries,
+      merges: mergeClosedDuplicates(state.tabStats, closedTabs, records, mergeInto)
+    };
+    state.undoStack.push(entry);
+    state.undoStack = state.undoStack.slice(-MAX_UNDO_OPERATIONS);
+    return entry;
+  });
+
+  return { operationId: operation?.id ?? null, closed: closedTabs.length };
+}
+
+/**
+ * Reopen the tabs of a close operation where they were, with their statistics.
+ * Tabs whose window is gone are reopened together in a new window.
+ * @param {string|null} operationId - Operation to undo (defaults to the most recent)
+ * @returns {Promise<Object>} - { restored, total }
+ */
+export async function undoClose(operationId = null) {
+  const operation = await updateState(['undoStack'], (state) => {
+    const index = operationId
+      ? state.undoStack.findIndex(entry => entry.id === operationId)
+      : state.undoStack.length - 1;
+    return index === -1 ? null : state.undoStack.splice(index, 1)[0];
+  });
+
+  if (!operation) {
+    return { restored: 0, total: 0 };
+  }
+
+  const openWindowIds = new Set((await chrome.windows.getAll()).map(win => win.id));
+  const replacementWindows = new Map(); // original window id -> new window id
+  const restored = [];
+
+  // Lowest index first, so each tab lands next to its original neighbours.
+  // Redacted tabs have nothing left to reopen.
+  const entries = operation.tabs.filter(entry => entry.url).sort((a, b) => a.index - b.index);
+  for (const entry of entries) {
+    try {
+      let windowId = entry.windowId;
+
+      if (!openWindowIds.has(windowId)) {
+        if (!replacementWindows.has(windowId)) {
+          const win = await chrome.windows.create({ url: entry.url, focused: false });
+          replacementWindows.set(windowId, win.id);
+          if (entry.pinned) {
+            await chrome.tabs.update(win.tabs[0].id, { pinned: true });
+          }
+          restored.push({ tab: win.tabs[0], entry });
+          continue;
+        }
+        windowId = replacementWindows.get(windowId);
+      }
+
+      const tab = await chrome.tabs.create({
+        url: entry.url,
+        windowId,
+        index: openWindowIds.has(windowId) ? entry.index : undefined,
+        pinned: entry.pinned,
+        active: false
+      });
+      restored.push({ tab, entry });
+    } catch (error) {
+      console.debug(`Could not reopen ${entry.url}:`, error?.message || error);
+    }
+  }
+
+  // Put tabs back into their group if it still exists
+  const openGroupIds = new Set((await queryTabGroups()).map(group => group.id));
+  for (const { tab, entry } of restored) {
+    if (openGroupIds.has(entry.groupId) && tab.windowId === entry.windowId) {
+      try {
+        await chrome.tabs.group({ groupId: entry.groupId, tabIds: [tab.id] });
+        tab.groupId = entry.groupId;
+      } catch (error) {
+        console.debug(`Could not regroup tab ${tab.id}:`, error?.message || error);
+      }
+    }
+  }
+
+  await updateState(['tabStats'], async (state) => {
+    restored.forEach(({ tab, entry }) => {
+      if (!entry.record) return;
+      const { closedReason, archived, ...record } = entry.record;
+      state.tabStats[tab.id] = {
+        ...record,
+        id: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        groupId: tab.groupId ?? TAB_GROUP_NONE
+      };
+    });
+
+    // Take back the history merged into the tabs that stayed open
+    (operation.merges || []).forEach(merge => {
+      const survivor = state.tabStats[merge.survivorId];
+      if (!survivor) return;
+      survivor.createdAt = merge.createdAt;
+      survivor.activationCount = Math.max(0, (survivor.activationCount || 0) - merge.activationCount);
+      survivor.activeTime = Math.max(0, (survivor.activeTime || 0) - merge.activeTime);
+    });
+
+    // The closes being undone no longer belong in history
+    const restoredIds = new Set(restored.map(({ entry }) => entry.tabId));
+    await deleteHistory('closedTabs', record => restoredIds.has(record.id), { since: operation.timestamp });
+  });
+
+  return { restored: restored.length, total: operation.tabs.length };
+}
+
+/**
+ * Group the tabs of each window by domain. Only ungrouped, unpinned tabs are
+ * moved, into an existing group named after the domain when there is one.
+ * @returns {Promise<Object>} - { groups, tabs } touched
+ */
+export async function groupTabsByDomain() {
+  const tabs = await chrome.tabs.query({ windowType: 'normal', pinned: false });
+  const buckets = new Map(); // "windowId|domain" -> tabs
+
+  tabs
+    .filter(tab => (tab.groupId ?? TAB_GROUP_NONE) === TAB_GROUP_NONE)
+    .forEach(tab => {
+      const domain = extractDomain(tab.url || tab.pendingUrl);
+      if (domain === 'unknown' || domain === 'newtab') return;
+      const key = `${tab.windowId}|${domain}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(tab);
+    });
+
+  const existingGroups = await queryTabGroups();
+  let groups = 0;
+  let grouped = 0;
+
+  for (const [key, bucket] of buckets) {
+    const [windowId, domain] = key.split('|');
+    const title = domain.replace(/^www\./, '');
+    const existing = existingGroups.find(group => group.windowId === Number(windowId) && group.title === title);
+
+    // A lone tab only joins a group that is already there
+    if (!existing && bucket.length < MIN_DOMAIN_GROUP_SIZE) continue;
+
+    if (await addToGroup(bucket, Number(windowId), existing, { title })) {
+      groups++;
+      grouped += bucket.length;
+    }
+  }
+
+  return { groups, tabs: grouped };
+}
+
+/**
+ * Move inactive and duplicate tabs into a collapsed "Review" group per window.
+ * Pinned tabs and the active tab are left where they are.
+ * @returns {Promise<Object>} - { groups, tabs } touched
+ */
+export async function groupTabsForReview() {
+  const settings = await getSettings();
+  const { tabStats } = await readState();
+  const tabs = (await chrome.tabs.query({ windowType: 'normal' })).filter(tab => tabStats[tab.id]);
+  const focusedWindowId = await getFocusedWindowId();
+  const candidates = new Map();
+
+  generateRecommendations(tabStats, tabs, settings, { focusedWindowId }).forEach(rec => {
+    if (rec.type === 'inactive') {
+      rec.tabs.forEach(tab => candidates.set(tab.id, tab));
+    }
+    if (rec.type === 'duplicate') {
+      // Keep the survivor of each group, same as "Close Duplicates"
+      rec.duplicates.forEach(dup => {
+        dup.tabs.slice(1).forEach(tab => candidates.set(tab.id, tab));
+      });
+    }
+  });
+
+  const byWindow = new Map();
+  tabs
+    .filter(tab => candidates.has(tab.id) && !tab.pinned && !tab.active)
+    .forEach(tab => {
+      if (!byWindow.has(tab.windowId)) {
+        byWindow.set(tab.windowId, []);
+      }
+      byWindow.get(tab.windowId).push(tab);
+    });
+
+  const existingGroups = await queryTabGroups();
+  let groups = 0;
+  let grouped = 0;
+
+  for (const [windowId, windowTabs] of byWindow) {
+    const existing = existingGroups.find(group => group.windowId === windowId && group.title === REVIEW_GROUP_TITLE);
+    if (await addToGroup(windowTabs, windowId, existing, { title: REVIEW_GROUP_TITLE, color: 'grey', collapsed: true })) {
+      groups++;
+      grouped += windowTabs.length;
+    }
+  }
+
+  return { groups, tabs: grouped };
+}
+
+/**
+ * Move the given tabs into a group with a title, one group per window.
+ * Used by recommendation rules with the "group" action.
+ * @param {Array<number>} tabIds - Tabs to group
+ * @param {string} title - Group title
+ * @returns {Promise<Object>} - { groups, tabs } touched
+ */
+export async function groupTabsAs(tabIds, title) {
+  const ids = new Set(tabIds);
+  const tabs = (await chrome.tabs.query({ windowType: 'normal', pinned: false })).filter(tab => ids.has(tab.id));
+
+  const byWindow = new Map();
+  tabs.forEach(tab => {
+    if (!byWindow.has(tab.windowId)) {
+      byWindow.set(tab.windowId, []);
+    }
+    byWindow.get(tab.windowId).push(tab);
+  });
+
+  const existingGroups = await queryTabGroups();
+  let groups = 0;
+  let grouped = 0;
+
+  for (const [windowId, windowTabs] of byWindow) {
+    const existing = existingGroups.find(group => group.windowId === windowId && group.title === title);
+    if (await addToGroup(windowTabs, windowId, existing, { title })) {
+      groups++;
+      grouped += windowTabs.length;
+    }
+  }
+
+  return { groups, tabs: grouped };
+}
+
+/**
+ * Find the duplicates "Close Duplicates" would close: every tab of a duplicate
+ * group but the one the survivor policy keeps
+ * @param {Object} options - { windowId: only look at the tabs of this window }
+ * @returns {Promise<Array>} - [{ tab, survivorId }]
+ */
+export async function findDuplicatesToClose({ windowId } = {}) {
+  const settings = await getSettings();
+  const { tabStats } = await readState();
+  const tabs = await chrome.tabs.query(windowId ? { windowId } : {});
+  const policy = getDuplicatePolicy(settings);
+  const focusedWindowId = await getFocusedWindowId();
+
+  return findDuplicateGroups(tabs, getNormalizationOptions(settings)).flatMap(group => {
+    const [survivor, ...others] = orderDuplicateGroup(group.tabs, policy, { tabStats, focusedWindowId });
+    return others.map(tab => ({ tab, survivorId: survivor.id }));
+  });
+}
+
+/**
+ * Close duplicate tabs, keeping one tab per page and handing the history of
+ * the others to it unless the user turned that off
+ * @param {Object} options - { windowId: only close duplicates within this window, source }
+ * @returns {Promise<Object>} - { operationId, closed }
+ */
+export async function closeDuplicateTabs({ windowId, source = 'manual' } = {}) {
+  const settings = await getSettings();
+  const duplicates = await findDuplicatesToClose({ windowId });
+  const reasons = {};
+  const mergeInto = {};
+
+  duplicates.forEach(({ tab, survivorId }) => {
+    reasons[tab.id] = 'duplicate';
+    if (settings.duplicateMergeStats !== false) {
+      mergeInto[tab.id] = survivorId;
+    }
+  });
+
+  return closeTabs(duplicates.map(({ tab }) => tab.id), { source, reasons, mergeInto });
+}
+
+/**
+ * Find the tabs not used within the inactivity threshold, longest unused first
+ * @returns {Promise<Array>} - Tabs merged with their statistics
+ */
+export async function findInactiveTabs() {
+  const settings = await getSettings();
+  const { tabStats } = await readState();
+  const tabs = await chrome.tabs.query({});
+  return getInactiveTabs(tabStats, tabs, settings.inactivityThresholdDays || 7);
+}
+
+/**
+ * Close the tabs not used within the inactivity threshold, as "Close Inactive"
+ * does in the dashboard
+ * @param {Object} options - { source }
+ * @returns {Promise<Object>} - { operationId, closed }
+ */
+export async function closeInactiveTabs({ source = 'manual' } = {}) {
+  const tabs = await findInactiveTabs();
+  const reasons = Object.fromEntries(tabs.map(tab => [tab.id, 'inactive']));
+  return closeTabs(tabs.map(tab => tab.id), { source, reasons });
+}
+
+/**
+ * Switch to a tab and bring its window to the front
+ * @param {number} tabId - Tab to switch to
+ * @returns {Promise<boolean>} - False if the tab is gone
+ */
+export async function focusTab(tabId) {
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the window the user last focused, for the "focused window" duplicate policy
+ * @returns {Promise<number|null>} - Window id
+ */
+export async function getFocusedWindowId() {
+  try {
+    return (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Strip what identifies a tab from its undo entry, for excluded and incognito
+ * tabs. An undo leaves the tab closed.
+ * @param {Object} entry - Tab of an undo stack operation
+ * @returns {Object} - The entry without its URL, title or statistics
+ */
+export function redactUndoTab(entry) {
+  return { ...entry, url: null, title: null, record: null };
+}
+
+// Fold the records of closed duplicates (as they were before closing) into
+// their survivors, returning what was added so an undo can subtract it again
+function mergeClosedDuplicates(tabStats, closedTabs, closedRecords, mergeInto) {
+  const closedIds = new Set(closedTabs.map(tab => tab.id));
+  const bySurvivor = new Map();
+
+  closedTabs.forEach(tab => {
+    const survivorId = mergeInto[tab.id];
+    // Skip survivors that were closed in the same operation
+    if (!survivorId || closedIds.has(survivorId) || !tabStats[survivorId] || !closedRecords.has(tab.id)) return;
+    if (!bySurvivor.has(survivorId)) {
+      bySurvivor.set(survivorId, []);
+    }
+    bySurvivor.get(survivorId).push(closedRecords.get(tab.id));
+  });
+
+  return Array.from(bySurvivor, ([survivorId, records]) => {
+    const survivor = tabStats[survivorId];
+    const before = { ...survivor };
+    Object.assign(survivor, mergeDuplicateStats(survivor, records));
+    return {
+      survivorId,
+      createdAt: before.createdAt,
+      activationCount: survivor.activationCount - (before.activationCount || 0),
+      activeTime: survivor.activeTime - (before.activeTime || 0)
+    };
+  });
+}
+
+// Add tabs to an existing group, or create one in their window
+async function addToGroup(tabs, windowId, existingGroup, properties) {
+  try {
+    const tabIds = tabs.map(tab => tab.id);
+    const groupId = existingGroup
+      ? await chrome.tabs.group({ groupId: existingGroup.id, tabIds })
+      : await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, properties);
+    return true;
+  } catch (error) {
+    console.error(`Error grouping tabs as "${properties.title}":`, error);
+    return false;
+  }
+}
+
+// Tab groups are not available in every Chromium browser
+async function queryTabGroups() {
+  return chrome.tabGroups ? chrome.tabGroups.query({}) : [];
+}
@@ -0,0 +1,57 @@
+// Trend Snapshots
+// Once an hour, record how many tabs and windows are open, their average
+// health, duplicates and estimated memory, for the Overview's long-term trends.
+
+import { updateState, readState, getSettings } from './state.js';
+import { calculateStats, calculateOverallTabHealth } from '../shared/stats.js';
+import { estimateAllTabsMemory, calculateMemoryStats } from '../shared/memory.js';
+import { addTrendSample } from '../shared/trends.js';
+import { isExcludedTab } from '../shared/exclusions.js';
+
+const SNAPSHOT_ALARM = 'trend-snapshot';
+const SNAPSHOT_INTERVAL_MINUTES = 60;
+
+/**
+ * Create the hourly snapshot alarm if it doesn't exist yet
+ * @returns {Promise<void>}
+ */
+export async function scheduleTrendSnapshots() {
+  const existing = await chrome.alarms.get(SNAPSHOT_ALARM);
+  if (!existing) {
+    chrome.alarms.create(SNAPSHOT_ALARM, { delayInMinutes: 1, periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Record a snapshot of the open tabs now
+ * @returns {Promise<void>}
+ */
+export async function recordTrendSnapshot() {
+  const settings = await getSettings();
+  if (settings.trackingEnabled === false) return;
+
+  const { tabStats } = await readState();
+  // Excluded tabs (incognito ones unless tracked) are neither counted nor scripted for memory estimates
+  const tabs = (await chrome.tabs.query({})).filter(tab => !isExcludedTab(tab, settings));
+  const stats = calculateStats(tabStats, tabs, settings);
+  const memoryStats = calculateMemoryStats(await estimateAllTabsMemory(tabs));
+
+  const sample = {
+    timestamp: Date.now(),
+    tabs: stats.totalTabs,
+    windows: stats.totalWindows,
+    averageHealth: calculateOverallTabHealth(tabStats, tabs).averageHealth,
+    duplicates: stats.duplicateTabs.reduce((sum, dup) => sum + dup.count - 1, 0),
+    memoryMB: memoryStats.totalMB
+  };
+
+  await updateState(['trendHistory'], ({ trendHistory }) => {
+    addTrendSample(trendHistory, sample);
+  });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM) {
+    await recordTrendSnapshot();
+  }
+});
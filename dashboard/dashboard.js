@@ -1,27 +1,76 @@
 // Dashboard JavaScript
 
-import { calculateStats, getInactiveTabs, getTabsByAge, getTabsByActivations, getDomainStats, generateRecommendations, calculateOverallTabHealth, getTodaySessionStats, getWeeklyTrend } from '../shared/stats.js';
-import { getAllData, updateSettings, clearAllStats, exportData } from '../shared/storage.js';
-import { formatDuration, formatTimestamp, getFaviconUrl, truncate, groupBy, debounce, formatMemory, extractDomain } from '../shared/utils.js';
-import { estimateAllTabsMemory, calculateMemoryStats, clearMemoryCache } from '../shared/memory.js';
+import { calculateStats, getInactiveTabs, getTabsByAge, getTabsByActivations, getTabsByActiveTime, getDomainStats, generateRecommendations, calculateOverallTabHealth, getTodaySessionStats, getActivityTrend, filterClosedTabs, getClosedTabsSummary, getClosedTabDomains, getLifetimeAnalysis, getDomainDetail, compareSessionSnapshot, getGroupStats } from '../shared/stats.js';
+import { getAllData, updateSettings, clearAllStats, exportData, previewImportData, importData, getCleanupLog, getUndoStack, getSessionSnapshots, getTrendHistory, getActivityLog, getClosedTabs, getStorageUsage, getSyncStatus } from '../shared/storage.js';
+import { formatDuration, formatTimestamp, getFaviconUrl, truncate, groupBy, debounce, formatMemory, formatBytes, extractDomain } from '../shared/utils.js';
+import { estimateAllTabsMemory, calculateMemoryStats, calculateSuspendedSavings, clearMemoryCache } from '../shared/memory.js';
 import { keyboard } from '../shared/keyboard.js';
+import { parseExclusionList, isExcludedTab } from '../shared/exclusions.js';
+import { showToast } from '../shared/toast.js';
+import { EXPORT_FORMATS, getWindowNumbers, formatTabsCsv, formatHistoryCsv, formatMarkdownLinks, formatBookmarksHtml } from '../shared/export.js';
+import { getTrendSeries, getTrendChange } from '../shared/trends.js';
+import { ACTIVITY_TYPES, WEEKDAYS, buildActivityHeatmap, getPeakActivity, getActivityDomains } from '../shared/activity.js';
+import { DUPLICATE_POLICIES, getDuplicatePolicy, orderDuplicateGroup } from '../shared/duplicates.js';
+import { findDuplicateGroups, getNormalizationOptions, parseCanonicalRules, formatCanonicalRules, DEFAULT_IGNORED_PARAMS, DEFAULT_CANONICAL_RULES } from '../shared/urls.js';
+import { isSyncedSetting } from '../shared/sync.js';
+import { RULE_FIELDS, RULE_OPERATORS, RULE_ACTIONS, MAX_RULES, createRuleContext, evaluateRule, describeCondition, validateRule, createRuleId, exportRuleset, parseRuleset } from '../shared/rules.js';
+
+const HISTORY_PAGE_SIZE = 200;
+const TAB_GROUP_NONE = -1;
+
+// Chrome's tab group colors
+const GROUP_COLORS = {
+  grey: '#5F6368',
+  blue: '#1A73E8',
+  red: '#D93025',
+  yellow: '#F9AB00',
+  green: '#188038',
+  pink: '#D01884',
+  purple: '#A142F4',
+  cyan: '#007B83',
+  orange: '#FA903E'
+};
 
 let currentTabs = [];
 let tabStats = {};
 let closedTabs = [];
 let settings = {};
 let sessionStats = {};
+let domainStats = {};
+let undoStack = [];
+let trendHistory = { hourly: [], daily: [] };
+let trendRange = 7;
+let activityLog = [];
+let heatmapDomain = '';
+let heatmapType = 'all';
+let tabGroups = [];
+let focusedWindowId = null;
+let duplicateSurvivors = new Map(); // normalized URL -> tab id picked in the duplicate resolver
 let selectedTabIds = new Set();
 let currentFilter = 'all';
+let currentGroupFilter = 'all';
 let currentSort = 'age-desc';
 let searchQuery = '';
+let currentDomainSort = 'count';
+let selectedDomain = null;
+let historyQuery = '';
+let historyRange = 'all';
+let historyDomain = '';
+let historyLimit = HISTORY_PAGE_SIZE;
+let selectedHistoryKeys = new Set();
+let editingRule = null;
 let memoryEstimates = {};
+let importFile = null; // { name, contents, preview } while the import dialog is open
 let memoryStats = {};
 
 // Charts
 let domainChart = null;
 let trendChart = null;
+let hygieneChart = null;
 let memoryDomainChart = null;
+let domainOpenChart = null;
+let lifetimeChart = null;
+let survivalChart = null;
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', async () => {
@@ -52,8 +101,15 @@ async function loadData() {
   closedTabs = data.closedTabs;
   settings = data.settings;
   sessionStats = data.sessionStats;
+  domainStats = data.domainStats;
+  undoStack = await getUndoStack();
+  trendHistory = await getTrendHistory();
+  activityLog = await getActivityLog();
   
   currentTabs = await chrome.tabs.query({});
+  focusedWindowId = (await chrome.windows.getCurrent())?.id ?? null;
+  // Tab groups are not available in every Chromium browser
+  tabGroups = chrome.tabGroups ? await chrome.tabGroups.query({}) : [];
 }
 
 // Setup keyboard shortcuts
@@ -66,13 +122,15 @@ function setupKeyboardShortcuts() {
   // Export
   keyboard.register('cmd+e', () => {
     document.getElementById('export-btn').click();
-  }, 'Export data');
+  }, 'Export tabs, history or data');
 
   // Tab navigation
   keyboard.register('cmd+1', () => switchTab('overview'), 'Go to Overview');
   keyboard.register('cmd+2', () => switchTab('tabs-list'), 'Go to Tab List');
   keyboard.register('cmd+3', () => switchTab('domains'), 'Go to Domains');
   keyboard.register('cmd+4', () => switchTab('settings'), 'Go to Settings');
+  keyboard.register('cmd+5', () => switchTab('history'), 'Go to History');
+  keyboard.register('cmd+6', () => switchTab('sessions'), 'Go to Sessions');
 
   // Search focus
   keyboard.register('cmd+k', () => {
@@ -87,11 +145,13 @@ function setupKeyboardShortcuts() {
   keyboard.register('cmd+/', () => showKeyboardHelp(), 'Show keyboard shortcuts');
 }
 
-// Show keyboard shortcuts help
-function showKeyboardHelp() {
+// Show keyboard shortcuts help: the dashboard's own, then those that work on any page
+async function showKeyboardHelp() {
   const shortcuts = keyboard.getAll();
   const helpText = shortcuts.map(s => `${s.key}: ${s.description}`).join('\n');
-  alert(`Keyboard Shortcuts:\n\n${helpText}`);
+  const commands = await keyboard.getBrowserCommands();
+  const commandText = commands.map(c => `${c.key}: ${c.description}`).join('\n');
+  alert(`Keyboard Shortcuts:\n\n${helpText}\n\nAnywhere in the browser (change them at chrome://extensions/shortcuts):\n\n${commandText}`);
 }
 
 // Setup event listeners
@@ -104,14 +164,53 @@ function setupEventListeners() {
     estimateMemoryInBackground();
   });
   
-  document.getElementById('export-btn').addEventListener('click', async () => {
-    const data = await exportData();
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `tab-stats-${Date.now()}.json`;
-    a.click();
+  // Import dialog
+  document.getElementById('import-btn').addEventListener('click', () => {
+    document.getElementById('import-input').click();
+  });
+  document.getElementById('import-input').addEventListener('change', openImportDialog);
+  document.getElementById('import-dialog').addEventListener('change', renderImportPreview);
+  document.getElementById('import-confirm-btn').addEventListener('click', confirmImport);
+  
+  // Export dialog
+  document.getElementById('export-btn').addEventListener('click', openExportDialog);
+  document.getElementById('export-dialog').addEventListener('change', updateExportDialog);
+  document.getElementById('export-download-btn').addEventListener('click', async () => {
+    const { content, filename, type } = await buildExport();
+    downloadFile(content, filename, type);
+  });
+  document.getElementById('export-copy-btn').addEventListener('click', async () => {
+    const { content } = await buildExport();
+    try {
+      await navigator.clipboard.writeText(content);
+      showToast('Copied to clipboard');
+    } catch (error) {
+      alert(`Could not copy to the clipboard: ${error.message}`);
+    }
+  });
+  
+  // Trend range
+  document.querySelectorAll('.range-btn[data-range]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      trendRange = parseInt(btn.dataset.range);
+      document.querySelectorAll('.range-btn[data-range]').forEach(b => b.classList.toggle('active', b === btn));
+      createHygieneChart();
+      createTrendChart();
+    });
+  });
+  
+  // Activity heatmap filters
+  document.querySelectorAll('.range-btn[data-activity]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      heatmapType = btn.dataset.activity;
+      document.querySelectorAll('.range-btn[data-activity]').forEach(b => b.classList.toggle('active', b === btn));
+      renderActivityHeatmap();
+    });
+  });
+  
+  document.getElementById('heatmap-domain-select').addEventListener('change', (e) => {
+    heatmapDomain = e.target.value;
+    renderActivityHeatmap();
   });
   
   // Tabs list controls
@@ -125,23 +224,85 @@ function setupEventListeners() {
     displayTabsList();
   });
   
+  document.getElementById('group-filter-select').addEventListener('change', (e) => {
+    currentGroupFilter = e.target.value;
+    displayTabsList();
+  });
+  
   document.getElementById('tabs-sort-select').addEventListener('change', (e) => {
     currentSort = e.target.value;
     displayTabsList();
   });
   
+  // Domains controls
+  document.getElementById('group-by-domain-btn').addEventListener('click', () => groupTabs({ by: 'domain' }));
+  document.getElementById('group-for-review-btn').addEventListener('click', () => groupTabs({ by: 'review' }));
+  
+  document.getElementById('domains-sort-select').addEventListener('change', (e) => {
+    currentDomainSort = e.target.value;
+    displayDomains();
+  });
+  
+  document.getElementById('domain-detail-back-btn').addEventListener('click', () => {
+    selectedDomain = null;
+    displayDomains();
+  });
+  
+  document.getElementById('domain-detail-history-btn').addEventListener('click', () => {
+    historyDomain = selectedDomain;
+    historyLimit = HISTORY_PAGE_SIZE;
+    switchTab('history');
+  });
+  
+  // History controls
+  document.getElementById('history-search-input').addEventListener('input', debounce((e) => {
+    historyQuery = e.target.value;
+    historyLimit = HISTORY_PAGE_SIZE;
+    displayHistory();
+  }, 300));
+  
+  document.getElementById('history-range-select').addEventListener('change', (e) => {
+    historyRange = e.target.value;
+    historyLimit = HISTORY_PAGE_SIZE;
+    displayHistory();
+  });
+  
+  document.getElementById('history-domain-select').addEventListener('change', (e) => {
+    historyDomain = e.target.value;
+    historyLimit = HISTORY_PAGE_SIZE;
+    displayHistory();
+  });
+  
+  document.getElementById('reopen-selected-btn').addEventListener('click', async () => {
+    const records = closedTabs.filter(record => selectedHistoryKeys.has(getHistoryKey(record)));
+    if (records.length > 0) {
+      await reopenClosedTabs(records, document.getElementById('reopen-new-window').checked);
+      selectedHistoryKeys.clear();
+      displayHistory();
+    }
+  });
+  
+  // Sessions controls
+  document.getElementById('save-session-btn').addEventListener('click', saveSession);
+  document.getElementById('session-name-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveSession();
+  });
+  
   // Bulk actions
   document.getElementById('close-inactive-btn').addEventListener('click', async () => {
     const inactiveTabs = getInactiveTabs(tabStats, currentTabs, settings.inactivityThresholdDays || 7);
     if (confirm(`Close ${inactiveTabs.length} inactive tabs?`)) {
-      await closeMultipleTabs(inactiveTabs.map(t => t.id));
+      const reasons = Object.fromEntries(inactiveTabs.map(t => [t.id, 'inactive']));
+      await closeMultipleTabs(inactiveTabs.map(t => t.id), { reasons });
     }
   });
   
   document.getElementById('close-duplicates-btn').addEventListener('click', async () => {
-    const duplicates = findDuplicates();
-    if (duplicates.length > 0 && confirm(`Close ${duplicates.length} duplicate tabs?`)) {
-      await closeMultipleTabs(duplicates);
+    const groups = getDuplicateGroups();
+    const count = groups.reduce((sum, group) => sum + group.tabs.length - 1, 0);
+    const policy = DUPLICATE_POLICIES[getDuplicatePolicy(settings)].toLowerCase();
+    if (count > 0 && confirm(`Close ${count} duplicate tabs? For each page, the ${policy} tab stays open.`)) {
+      await closeDuplicateGroups(groups);
     }
   });
   
@@ -151,8 +312,66 @@ function setupEventListeners() {
     }
   });
   
+  document.getElementById('undo-last-btn').addEventListener('click', () => undoCloseOperation());
+  
+  document.getElementById('suspend-inactive-btn').addEventListener('click', async () => {
+    const inactiveTabs = getInactiveTabs(tabStats, currentTabs, settings.inactivityThresholdDays || 7)
+      .filter(tab => !tab.discarded && !tab.active);
+    if (inactiveTabs.length === 0) {
+      alert('No inactive tabs left to suspend.');
+      return;
+    }
+    if (confirm(`Suspend ${inactiveTabs.length} inactive tabs? They stay open and reload when you switch to them.`)) {
+      const result = await suspendMultipleTabs(inactiveTabs.map(t => t.id));
+      alert(`Suspended ${result.suspended} tabs, freeing about ${formatMemory(result.freedMB)}.`);
+    }
+  });
+  
+  document.getElementById('suspend-selected-btn').addEventListener('click', async () => {
+    if (selectedTabIds.size === 0) return;
+    const result = await suspendMultipleTabs(Array.from(selectedTabIds));
+    alert(`Suspended ${result.suspended} tabs, freeing about ${formatMemory(result.freedMB)}.`);
+  });
+  
+  document.getElementById('suspended-tabs-insight').addEventListener('click', () => {
+    switchTab('tabs-list');
+    document.getElementById('filter-select').value = 'suspended';
+    currentFilter = 'suspended';
+    displayTabsList();
+  });
+  
   // Settings
   document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
+  document.getElementById('preview-cleanup-btn').addEventListener('click', previewCleanup);
+  document.getElementById('reset-duplicate-rules-btn').addEventListener('click', () => {
+    document.getElementById('duplicate-ignored-params').value = DEFAULT_IGNORED_PARAMS.join('\n');
+    document.getElementById('duplicate-canonical-rules').value = formatCanonicalRules(DEFAULT_CANONICAL_RULES);
+  });
+  
+  // Recommendation rules
+  document.getElementById('add-rule-btn').addEventListener('click', () => openRuleEditor());
+  document.getElementById('save-rule-btn').addEventListener('click', saveRuleFromEditor);
+  document.getElementById('cancel-rule-btn').addEventListener('click', closeRuleEditor);
+  document.getElementById('add-condition-btn').addEventListener('click', () => {
+    readRuleEditor();
+    editingRule.conditions.push({ field: 'domain', operator: 'is', value: '' });
+    renderRuleConditions();
+  });
+  document.getElementById('export-rules-btn').addEventListener('click', () => {
+    downloadFile(exportRuleset(settings.recommendationRules || []), `tab-stats-rules-${Date.now()}.json`, 'application/json');
+  });
+  document.getElementById('import-rules-btn').addEventListener('click', () => {
+    document.getElementById('import-rules-input').click();
+  });
+  document.getElementById('import-rules-input').addEventListener('change', importRules);
+  document.getElementById('compact-storage-btn').addEventListener('click', compactStorage);
+  
+  // The service worker syncs settings shortly after they change
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settingsSyncState) {
+      displaySyncStatus();
+    }
+  });
   document.getElementById('clear-data-btn').addEventListener('click', async () => {
     if (confirm('Are you sure you want to clear all tab statistics? This cannot be undone.')) {
       await clearAllStats();
@@ -163,6 +382,164 @@ function setupEventListeners() {
   });
 }
 
+// Save text as a file through the browser's downloads
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Open the export dialog with the options of the chosen format
+function openExportDialog() {
+  updateExportDialog();
+  document.getElementById('export-dialog').showModal();
+}
+
+function getExportFormat() {
+  return document.querySelector('input[name="export-format"]:checked').value;
+}
+
+// Show only the options the chosen format uses, and how much it will contain
+function updateExportDialog() {
+  const format = getExportFormat();
+  document.getElementById('export-scope-option').hidden = !['tabs-csv', 'markdown', 'bookmarks'].includes(format);
+  document.getElementById('export-group-option').hidden = !['markdown', 'bookmarks'].includes(format);
+  
+  let summary = 'Tab statistics, history and settings';
+  if (format === 'history-csv') {
+    const count = getHistoryRecords().length;
+    summary = `${count} closed tab${count !== 1 ? 's' : ''}`;
+  } else if (format !== 'json') {
+    const count = getExportTabs().length;
+    summary = `${count} open tab${count !== 1 ? 's' : ''}`;
+  }
+  document.getElementById('export-summary').textContent = summary;
+}
+
+// Open tabs to export, merged with their statistics and display details
+function getExportTabs() {
+  let tabs = currentTabs;
+  if (document.getElementById('export-scope').value === 'list') {
+    // Drops filters for rules or groups that no longer exist
+    updateRuleFilterOptions();
+    updateGroupFilterOptions();
+    tabs = getTabListTabs();
+  }
+  
+  const windowNumbers = getWindowNumbers(currentTabs);
+  return tabs.map(tab => {
+    const group = tabGroups.find(g => g.id === tab.groupId);
+    return {
+      ...tabStats[tab.id],
+      ...tab,
+      windowNumber: windowNumbers.get(tab.windowId),
+      groupTitle: group ? group.title || 'Untitled group' : '',
+      memoryMB: memoryEstimates[tab.id]?.estimateMB
+    };
+  });
+}
+
+// Build the file for the chosen format: { content, filename, type }
+async function buildExport() {
+  const format = getExportFormat();
+  const groupBy = document.getElementById('export-group-by').value;
+  const windowNumbers = getWindowNumbers(currentTabs);
+  const { extension, type } = EXPORT_FORMATS[format];
+  
+  let content;
+  switch (format) {
+    case 'tabs-csv':
+      content = formatTabsCsv(getExportTabs());
+      break;
+    case 'history-csv':
+      content = formatHistoryCsv(getHistoryRecords());
+      break;
+    case 'markdown':
+      content = formatMarkdownLinks(getExportTabs(), { groupBy, windowNumbers });
+      break;
+    case 'bookmarks':
+      content = formatBookmarksHtml(getExportTabs(), { groupBy, windowNumbers, title: `Tab Stats ${new Date().toLocaleDateString()}` });
+      break;
+    default:
+      content = await exportData();
+  }
+  
+  const name = format === 'json' ? 'tab-stats' : `tab-stats-${format}`;
+  return { content, filename: `${name}-${Date.now()}.${extension}`, type };
+}
+
+// Validate the chosen file and show what importing it would change
+async function openImportDialog(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  const contents = await file.text();
+  const { errors, warnings, preview } = await previewImportData(contents);
+  importFile = { name: file.name, contents, preview };
+  
+  document.getElementById('import-file-name').textContent = preview
+    ? `${file.name} is a valid Tab Stats export.`
+    : `${file.name} can't be imported:`;
+  renderImportMessages('import-errors', errors);
+  renderImportMessages('import-warnings', warnings);
+  document.getElementById('import-preview').hidden = !preview;
+  document.getElementById('import-confirm-btn').hidden = !preview;
+  renderImportPreview();
+  
+  document.getElementById('import-dialog').showModal();
+}
+
+function renderImportMessages(id, messages) {
+  const list = document.getElementById(id);
+  list.hidden = messages.length === 0;
+  // Messages can quote keys and values from the file, so don't parse them as HTML
+  list.replaceChildren(...messages.map(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+}
+
+function getImportMode() {
+  return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+function renderImportPreview() {
+  if (!importFile?.preview) return;
+  
+  document.getElementById('import-preview-body').innerHTML = importFile.preview[getImportMode()].map(row => `
+    <tr>
+      <th>${row.label}</th>
+      <td>${row.current}</td>
+      <td>${row.file}</td>
+      <td>${row.after}</td>
+    </tr>
+  `).join('');
+}
+
+async function confirmImport() {
+  const mode = getImportMode();
+  if (mode === 'replace' && !confirm('Replace your closed tab history, daily counts, time spent and settings with the file\'s? This cannot be undone.')) {
+    return;
+  }
+  
+  const result = await importData(importFile.contents, mode);
+  if (!result.success) {
+    renderImportMessages('import-errors', result.errors);
+    return;
+  }
+  
+  document.getElementById('import-dialog').close();
+  importFile = null;
+  await loadData();
+  refreshCurrentView();
+  showToast(mode === 'replace' ? 'Data replaced from the file' : 'Data merged from the file');
+}
+
 // Setup tab navigation
 function setupTabNavigation() {
   document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -200,6 +577,12 @@ function switchTab(tabName) {
     case 'domains':
       displayDomains();
       break;
+    case 'history':
+      displayHistory();
+      break;
+    case 'sessions':
+      displaySessions();
+      break;
     case 'settings':
       displaySettings();
       break;
@@ -214,7 +597,7 @@ function refreshCurrentView() {
 
 // Display Overview Tab
 function displayOverview() {
-  const stats = calculateStats(tabStats, currentTabs);
+  const stats = calculateStats(tabStats, currentTabs, settings);
   const healthStats = calculateOverallTabHealth(tabStats, currentTabs);
   const todayStats = getTodaySessionStats(sessionStats);
   
@@ -251,17 +634,26 @@ function displayOverview() {
     document.getElementById('top-domain-name').textContent = topDomain[0];
   }
   
+  // Suspended tabs insight
+  const savings = calculateSuspendedSavings(currentTabs, tabStats);
+  document.getElementById('suspended-tabs-memory').textContent = savings.count > 0 ? `~${formatMemory(savings.freedMB)}` : '-';
+  document.getElementById('suspended-tabs-count').textContent = savings.count > 0
+    ? `${savings.count} suspended ${savings.count === 1 ? 'tab' : 'tabs'} freeing memory`
+    : 'No suspended tabs';
+  
   // Display recommendations
   displayOverviewRecommendations();
   
   // Create charts
   createDomainChart(stats);
+  createHygieneChart();
   createTrendChart();
+  renderActivityHeatmap();
 }
 
 // Display recommendations in overview
 function displayOverviewRecommendations() {
-  const recommendations = generateRecommendations(tabStats, currentTabs, settings);
+  const recommendations = generateRecommendations(tabStats, currentTabs, settings, { memoryEstimates, focusedWindowId });
   const container = document.getElementById('overview-recommendations');
   
   if (recommendations.length === 0) {
@@ -271,7 +663,7 @@ function displayOverviewRecommendations() {
   
   container.innerHTML = '';
   
-  recommendations.forEach(rec => {
+  recommendations.forEach((rec, index) => {
     const card = document.createElement('div');
     card.className = `recommendation-card priority-${rec.priority}`;
 
@@ -279,11 +671,17 @@ function displayOverviewRecommendations() {
 
     card.innerHTML = `
       <div class="recommendation-info">
-        <h4>${rec.message}</h4>
+        <h4></h4>
         <p>${tabCount} tab${tabCount !== 1 ? 's' : ''} affected</p>
       </div>
-      <button class="btn btn-secondary recommendation-view-btn" data-type="${rec.type}">View</button>
+      <div class="recommendation-actions">
+        ${rec.ruleId && rec.action !== 'review' ? `<button class="btn btn-secondary recommendation-apply-btn" data-index="${index}">${RULE_ACTIONS[rec.action]}</button>` : ''}
+        <button class="btn btn-secondary recommendation-view-btn">View</button>
+      </div>
     `;
+    // Rule messages quote the rule's name, so don't parse them as HTML
+    card.querySelector('h4').textContent = rec.message;
+    Object.assign(card.querySelector('.recommendation-view-btn').dataset, { type: rec.type, ruleId: rec.ruleId || '' });
 
     container.appendChild(card);
   });
@@ -292,13 +690,36 @@ function displayOverviewRecommendations() {
   container.querySelectorAll('.recommendation-view-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const type = btn.dataset.type;
-      switchTab('tabs-list');
       const filterMap = { inactive: 'inactive', duplicate: 'duplicates' };
-      document.getElementById('filter-select').value = filterMap[type] || 'rarely-used';
-      currentFilter = document.getElementById('filter-select').value;
-      displayTabsList();
+      currentFilter = btn.dataset.ruleId ? `rule:${btn.dataset.ruleId}` : (filterMap[type] || 'rarely-used');
+      switchTab('tabs-list');
     });
   });
+  
+  container.querySelectorAll('.recommendation-apply-btn').forEach(btn => {
+    btn.addEventListener('click', () => applyRuleRecommendation(recommendations[btn.dataset.index]));
+  });
+}
+
+// Run the action of a user-defined rule on the tabs it matched
+async function applyRuleRecommendation(rec) {
+  const tabIds = rec.tabs.map(tab => tab.id);
+  
+  switch (rec.action) {
+    case 'close':
+      if (confirm(`Close ${tabIds.length} tab${tabIds.length !== 1 ? 's' : ''} matching "${rec.name}"?`)) {
+        await closeMultipleTabs(tabIds);
+      }
+      break;
+    case 'suspend': {
+      const result = await suspendMultipleTabs(tabIds);
+      showToast(`Suspended ${result.suspended} tab${result.suspended !== 1 ? 's' : ''}, freeing about ${formatMemory(result.freedMB)}`);
+      break;
+    }
+    case 'group':
+      await groupTabs({ tabIds, title: rec.name });
+      break;
+  }
 }
 
 // Create domain chart
@@ -347,45 +768,159 @@ function createDomainChart(stats) {
   });
 }
 
-// Create age distribution chart
-function createTrendChart() {
-  const canvas = document.getElementById('trend-chart');
+// Create the long-term chart of open tabs, duplicates, health and memory
+function createHygieneChart() {
+  const canvas = document.getElementById('hygiene-chart');
   const ctx = canvas.getContext('2d');
   
-  // Destroy existing chart
-  if (trendChart) {
-    trendChart.destroy();
+  if (hygieneChart) {
+    hygieneChart.destroy();
   }
   
-  const weeklyTrend = getWeeklyTrend(sessionStats);
+  const series = getTrendSeries(trendHistory, trendRange);
+  toggleChartEmptyState(canvas, series.length === 0, 'No snapshots yet', 'A snapshot of your tabs is taken every hour');
+  document.getElementById('hygiene-summary').textContent = describeTrendChange(getTrendChange(series));
+  
+  const formatLabel = point => {
+    const date = new Date(point.timestamp);
+    if (point.period === 'hour') {
+      return date.toLocaleString('en-US', { weekday: 'short', hour: 'numeric' });
+    }
+    const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return point.period === 'week' ? `Week of ${day}` : day;
+  };
+  
+  hygieneChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: series.map(formatLabel),
+      datasets: [
+        {
+          label: 'Open Tabs',
+          data: series.map(p => p.tabs),
+          borderColor: '#8B5CF6',
+          tension: 0.3
+        },
+        {
+          label: 'Duplicates',
+          data: series.map(p => p.duplicates),
+          borderColor: '#F59E0B',
+          tension: 0.3
+        },
+        {
+          label: 'Avg Health',
+          data: series.map(p => p.averageHealth),
+          borderColor: '#10B981',
+          tension: 0.3
+        },
+        {
+          label: 'Memory (MB)',
+          data: series.map(p => p.memoryMB),
+          borderColor: '#3B82F6',
+          borderDash: [4, 4],
+          tension: 0.3,
+          yAxisID: 'memory'
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      elements: {
+        point: { radius: series.length > 60 ? 0 : 2 }
+      },
+      plugins: {
+        legend: {
+          position: 'bottom'
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            precision: 0
+          }
+        },
+        memory: {
+          position: 'right',
+          beginAtZero: true,
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: 'MB' }
+        }
+      }
+    }
+  });
+}
+
+// e.g. "Over the last 30 days: 12 fewer open tabs, 3 fewer duplicates, health +5"
+function describeTrendChange(change) {
+  if (!change) return '';
   
-  // Check if there's any data
-  const hasData = weeklyTrend.some(d => d.opened > 0 || d.closed > 0);
+  const parts = [];
+  change = { ...change, tabs: Math.round(change.tabs), duplicates: Math.round(change.duplicates), averageHealth: Math.round(change.averageHealth) };
+  if (change.tabs !== 0) {
+    parts.push(`${Math.abs(change.tabs)} ${change.tabs < 0 ? 'fewer' : 'more'} open tabs`);
+  }
+  if (change.duplicates !== 0) {
+    parts.push(`${Math.abs(change.duplicates)} ${change.duplicates < 0 ? 'fewer' : 'more'} duplicates`);
+  }
+  if (change.averageHealth !== 0) {
+    parts.push(`health ${change.averageHealth > 0 ? '+' : ''}${change.averageHealth}`);
+  }
+  if (change.memoryMB !== 0) {
+    parts.push(`memory ${change.memoryMB > 0 ? '+' : '-'}${formatMemory(Math.abs(change.memoryMB))}`);
+  }
   
-  // Show empty state message if no data
+  const range = trendRange === 365 ? 'year' : `${trendRange} days`;
+  return parts.length > 0 ? `Over the last ${range}: ${parts.join(', ')}` : `No change over the last ${range}`;
+}
+
+// Show or hide the message drawn over an empty chart
+function toggleChartEmptyState(canvas, isEmpty, title, hint) {
   const chartContainer = canvas.parentElement;
   let emptyState = chartContainer.querySelector('.chart-empty-state');
   
-  if (!hasData) {
+  if (isEmpty) {
     if (!emptyState) {
       emptyState = document.createElement('div');
       emptyState.className = 'chart-empty-state';
-      emptyState.innerHTML = '<p>No activity tracked yet</p><span>Open or close tabs to see trends</span>';
+      emptyState.innerHTML = `<p>${title}</p><span>${hint}</span>`;
       chartContainer.appendChild(emptyState);
     }
     emptyState.style.display = 'flex';
   } else if (emptyState) {
     emptyState.style.display = 'none';
   }
+}
+
+// Create the opened/closed activity chart for the selected range
+function createTrendChart() {
+  const canvas = document.getElementById('trend-chart');
+  const ctx = canvas.getContext('2d');
+  
+  // Destroy existing chart
+  if (trendChart) {
+    trendChart.destroy();
+  }
+  
+  const activityTrend = getActivityTrend(sessionStats, trendRange);
+  
+  // Show empty state message if no data
+  const hasData = activityTrend.some(d => d.opened > 0 || d.closed > 0);
+  toggleChartEmptyState(canvas, !hasData, 'No activity tracked yet', 'Open or close tabs to see trends');
   
   trendChart = new Chart(ctx, {
     type: 'line',
     data: {
-      labels: weeklyTrend.map(d => d.day),
+      labels: activityTrend.map(d => d.day),
       datasets: [
         {
           label: 'Opened',
-          data: weeklyTrend.map(d => d.opened),
+          data: activityTrend.map(d => d.opened),
           borderColor: '#10B981',
           backgroundColor: 'rgba(16, 185, 129, 0.1)',
           fill: true,
@@ -393,7 +928,7 @@ function createTrendChart() {
         },
         {
           label: 'Closed',
-          data: weeklyTrend.map(d => d.closed),
+          data: activityTrend.map(d => d.closed),
           borderColor: '#DC2626',
           backgroundColor: 'rgba(220, 38, 38, 0.1)',
           fill: true,
@@ -425,8 +960,71 @@ function createTrendChart() {
   });
 }
 
+// Render the weekday x hour heatmap of tab switches, opens and closes
+function renderActivityHeatmap() {
+  const container = document.getElementById('activity-heatmap');
+  updateHeatmapDomainOptions();
+  
+  const types = heatmapType === 'all' ? Object.keys(ACTIVITY_TYPES) : [heatmapType];
+  const heatmap = buildActivityHeatmap(activityLog, { domain: heatmapDomain, types });
+  const unit = heatmapType === 'all' ? 'events' : ACTIVITY_TYPES[heatmapType].toLowerCase();
+  
+  const peak = getPeakActivity(heatmap);
+  document.getElementById('heatmap-summary').textContent = peak
+    ? `Busiest: ${peak.day} ${formatHour(peak.hour)}–${formatHour((peak.hour + 1) % 24)} · ${heatmap.total} ${unit} over ${heatmap.days} ${heatmap.days === 1 ? 'day' : 'days'}`
+    : `No ${unit} recorded in the last 4 weeks`;
+  
+  const hourLabels = Array.from({ length: 24 }, (_, hour) =>
+    `<div class="heatmap-hour">${hour % 3 === 0 ? hour : ''}</div>`
+  ).join('');
+  
+  const rows = heatmap.cells.map((counts, row) => `
+    <div class="heatmap-label">${WEEKDAYS[row]}</div>
+    ${counts.map((count, hour) => {
+      const opacity = count > 0 ? 0.15 + 0.85 * (count / heatmap.max) : 0;
+      const style = count > 0 ? `style="background: rgba(139, 92, 246, ${opacity.toFixed(2)})"` : '';
+      const title = `${WEEKDAYS[row]} ${formatHour(hour)}–${formatHour((hour + 1) % 24)}: ${count} ${unit}`;
+      return `<div class="heatmap-cell" ${style} title="${title}"></div>`;
+    }).join('')}
+  `).join('');
+  
+  container.innerHTML = `<div></div>${hourLabels}${rows}`;
+}
+
+// Fill the heatmap's domain filter, keeping the current choice
+function updateHeatmapDomainOptions() {
+  const select = document.getElementById('heatmap-domain-select');
+  const domains = getActivityDomains(activityLog);
+  
+  if (heatmapDomain && !domains.some(entry => entry.domain === heatmapDomain)) {
+    heatmapDomain = '';
+  }
+  
+  select.innerHTML = '<option value="">All domains</option>' + domains.map(({ domain, count }) =>
+    `<option value="${domain}">${domain} (${count})</option>`
+  ).join('');
+  select.value = heatmapDomain;
+}
+
+// e.g. "9 AM"
+function formatHour(hour) {
+  return new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' });
+}
+
 // Display Tabs List Tab
 function displayTabsList() {
+  updateRuleFilterOptions();
+  updateGroupFilterOptions();
+  const filteredTabs = getTabListTabs();
+  updateUndoButton();
+  renderDuplicateResolver();
+  
+  // Render table
+  renderTabsTable(filteredTabs);
+}
+
+// The open tabs shown in the Tab List, with its filter, search and sort applied
+function getTabListTabs() {
   let filteredTabs = [...currentTabs];
   
   // Apply filter
@@ -444,6 +1042,21 @@ function displayTabsList() {
       const duplicateIds = new Set(findDuplicates());
       filteredTabs = currentTabs.filter(tab => duplicateIds.has(tab.id));
       break;
+    case 'suspended':
+      filteredTabs = currentTabs.filter(tab => tab.discarded);
+      break;
+    default:
+      if (currentFilter.startsWith('rule:')) {
+        const rule = (settings.recommendationRules || []).find(r => `rule:${r.id}` === currentFilter);
+        filteredTabs = evaluateRule(rule, currentTabs, createRuleContext(tabStats, currentTabs, settings, { memoryEstimates, focusedWindowId }));
+      }
+  }
+  
+  // Apply group filter
+  if (currentGroupFilter === 'none') {
+    filteredTabs = filteredTabs.filter(tab => (tab.groupId ?? TAB_GROUP_NONE) === TAB_GROUP_NONE);
+  } else if (currentGroupFilter !== 'all') {
+    filteredTabs = filteredTabs.filter(tab => tab.groupId === parseInt(currentGroupFilter));
   }
   
   // Apply search
@@ -456,10 +1069,7 @@ function displayTabsList() {
   }
   
   // Apply sort
-  filteredTabs = sortTabs(filteredTabs, currentSort);
-  
-  // Render table
-  renderTabsTable(filteredTabs);
+  return sortTabs(filteredTabs, currentSort);
 }
 
 // Sort tabs
@@ -473,6 +1083,10 @@ function sortTabs(tabs, sortType) {
       return getTabsByActivations(tabStats, tabs, false);
     case 'activations-asc':
       return getTabsByActivations(tabStats, tabs, true);
+    case 'time-desc':
+      return getTabsByActiveTime(tabStats, tabs, false);
+    case 'time-asc':
+      return getTabsByActiveTime(tabStats, tabs, true);
     case 'title':
       return tabs.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
     case 'memory-desc':
@@ -501,6 +1115,12 @@ function renderTabsTable(tabs) {
   
   const now = Date.now();
   
+  // Which normalized URL each duplicate matched on
+  const duplicateMatches = new Map();
+  getDuplicateGroups().forEach(group => {
+    group.tabs.forEach(tab => duplicateMatches.set(tab.id, group));
+  });
+  
   const tableHTML = `
     <table class="tabs-table">
       <thead>
@@ -508,9 +1128,11 @@ function renderTabsTable(tabs) {
           <th><input type="checkbox" id="select-all-checkbox"></th>
           <th>Tab</th>
           <th>Domain</th>
+          <th>Group</th>
           <th>Age</th>
           <th>Last Access</th>
           <th>Activations</th>
+          <th>Time Spent</th>
           <th>Memory</th>
           <th>Action</th>
         </tr>
@@ -521,10 +1143,12 @@ function renderTabsTable(tabs) {
           const age = tabStat ? formatDuration(now - tabStat.createdAt) : 'Unknown';
           const lastAccess = tabStat ? formatTimestamp(tabStat.lastAccessedAt) : 'Unknown';
           const activations = tabStat?.activationCount || 0;
+          const timeSpent = formatDuration(tabStat?.activeTime || 0);
           const domain = tabStat?.domain || 'unknown';
           
           const memEst = memoryEstimates[tab.id];
           const memDisplay = memEst ? formatMemory(memEst.estimateMB) : '...';
+          const duplicateGroup = duplicateMatches.get(tab.id);
 
           return `
             <tr data-tab-id="${tab.id}">
@@ -532,13 +1156,20 @@ function renderTabsTable(tabs) {
               <td>
                 <img class="tab-row-favicon" src="${getFaviconUrl(tab.url)}" alt="">
                 <span class="tab-row-title" data-tab-id="${tab.id}">${truncate(tab.title || 'Untitled', 60)}</span>
+                ${tab.discarded ? '<span class="tab-row-badge" title="Suspended: reloads when you switch to it">Suspended</span>' : ''}
+                ${duplicateGroup ? `<div class="tab-row-match" title="${tab.url}">Duplicate of ${duplicateGroup.tabs.length - 1} other tab${duplicateGroup.tabs.length > 2 ? 's' : ''} · matches ${truncate(duplicateGroup.url, 70)}</div>` : ''}
               </td>
               <td class="tab-row-domain">${domain}</td>
+              <td class="tab-row-group">${renderGroupLabel(tab.groupId)}</td>
               <td>${age}</td>
               <td>${lastAccess}</td>
               <td>${activations}</td>
+              <td class="tab-row-time">${timeSpent}</td>
               <td class="tab-row-memory">${memDisplay}</td>
-              <td><button class="tab-row-action" data-tab-id="${tab.id}">Close</button></td>
+              <td class="tab-row-actions">
+                ${tab.discarded || tab.active ? '' : `<button class="tab-row-suspend" data-tab-id="${tab.id}">Suspend</button>`}
+                <button class="tab-row-action" data-tab-id="${tab.id}">Close</button>
+              </td>
             </tr>
           `;
         }).join('')}
@@ -547,6 +1178,7 @@ function renderTabsTable(tabs) {
   `;
   
   container.innerHTML = tableHTML;
+  fillGroupLabels(container);
   
   // Setup event listeners
   document.getElementById('select-all-checkbox').addEventListener('change', (e) => {
@@ -584,58 +1216,283 @@ function renderTabsTable(tabs) {
     });
   });
   
-  document.querySelectorAll('.tab-row-action').forEach(btn => {
+  container.querySelectorAll('.tab-row-action').forEach(btn => {
     btn.addEventListener('click', async (e) => {
-      const tabId = parseInt(e.target.dataset.tabId);
-      await chrome.tabs.remove(tabId);
-      await loadData();
-      displayTabsList();
+      await closeMultipleTabs([parseInt(e.target.dataset.tabId)]);
+    });
+  });
+  
+  container.querySelectorAll('.tab-row-suspend').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      await suspendMultipleTabs([parseInt(e.target.dataset.tabId)]);
     });
   });
 }
 
+// Keep the group filter in sync with the open groups, preserving the selection
+function updateGroupFilterOptions() {
+  const select = document.getElementById('group-filter-select');
+  
+  if (!['all', 'none'].includes(currentGroupFilter) && !tabGroups.some(g => String(g.id) === currentGroupFilter)) {
+    currentGroupFilter = 'all';
+  }
+  
+  // Group titles are the user's, so they are set as text
+  select.replaceChildren(
+    new Option('All Groups', 'all'),
+    new Option('Ungrouped', 'none'),
+    ...tabGroups.map(group => new Option(group.title || 'Untitled group', group.id))
+  );
+  select.value = currentGroupFilter;
+}
+
+// List the user's rules in the filter, falling back to all tabs if the selected rule is gone
+function updateRuleFilterOptions() {
+  const rules = settings.recommendationRules || [];
+  
+  if (currentFilter.startsWith('rule:') && !rules.some(rule => `rule:${rule.id}` === currentFilter)) {
+    currentFilter = 'all';
+  }
+  
+  document.getElementById('rule-filter-options').replaceChildren(
+    ...rules.map(rule => new Option(rule.name, `rule:${rule.id}`))
+  );
+  document.getElementById('filter-select').value = currentFilter;
+}
+
+// Colored dot and title of a tab's group
+function renderGroupLabel(groupId) {
+  const group = tabGroups.find(g => g.id === groupId);
+  if (!group) return '';
+  return `<span class="group-dot" style="background: ${GROUP_COLORS[group.color] || GROUP_COLORS.grey}"></span><span class="group-title" data-group-id="${group.id}"></span>`;
+}
+
+// Fill in the titles of the group labels rendered in a container, as text
+function fillGroupLabels(container) {
+  container.querySelectorAll('.group-title').forEach(label => {
+    const group = tabGroups.find(g => String(g.id) === label.dataset.groupId);
+    label.textContent = group?.title || 'Untitled group';
+  });
+}
+
 // Update selected count
 function updateSelectedCount() {
   const btn = document.getElementById('close-selected-btn');
   btn.textContent = `Close Selected (${selectedTabIds.size})`;
   btn.disabled = selectedTabIds.size === 0;
+  
+  const suspendBtn = document.getElementById('suspend-selected-btn');
+  suspendBtn.textContent = `Suspend Selected (${selectedTabIds.size})`;
+  suspendBtn.disabled = selectedTabIds.size === 0;
 }
 
-// Find duplicate tabs
-function findDuplicates() {
-  const urlMap = new Map();
-  currentTabs.forEach(tab => {
-    if (!urlMap.has(tab.url)) {
-      urlMap.set(tab.url, []);
-    }
-    urlMap.get(tab.url).push(tab.id);
-  });
+// Group open tabs by the normalized URL they share, the tab to keep first
+function getDuplicateGroups() {
+  const policy = getDuplicatePolicy(settings);
   
-  const duplicateIds = [];
-  urlMap.forEach((tabIds, url) => {
-    if (tabIds.length > 1 && url !== 'chrome://newtab/') {
-      // Keep the first one, mark others as duplicates
-      duplicateIds.push(...tabIds.slice(1));
+  return findDuplicateGroups(currentTabs, getNormalizationOptions(settings)).map(({ url, tabs }) => {
+    let ordered = orderDuplicateGroup(tabs, policy, { tabStats, focusedWindowId });
+    
+    // A survivor picked in the resolver wins over the policy
+    const picked = ordered.find(tab => tab.id === duplicateSurvivors.get(url));
+    if (picked) {
+      ordered = [picked, ...ordered.filter(tab => tab !== picked)];
     }
+    return { url, survivor: ordered[0], tabs: ordered };
   });
-  
-  return duplicateIds;
 }
 
-// Close multiple tabs
-async function closeMultipleTabs(tabIds) {
-  await chrome.tabs.remove(tabIds);
-  await loadData();
-  selectedTabIds.clear();
+// Find duplicate tabs
+function findDuplicates() {
+  // Keep the survivor, mark others as duplicates
+  return getDuplicateGroups().flatMap(group => group.tabs.slice(1).map(tab => tab.id));
+}
+
+// Close all tabs of the groups but their survivors, merging their history into the survivor if enabled
+async function closeDuplicateGroups(groups) {
+  const tabIds = [];
+  const reasons = {};
+  const mergeInto = {};
+  
+  groups.forEach(group => {
+    group.tabs.slice(1).forEach(tab => {
+      tabIds.push(tab.id);
+      reasons[tab.id] = 'duplicate';
+      if (settings.duplicateMergeStats !== false) {
+        mergeInto[tab.id] = group.survivor.id;
+      }
+    });
+    duplicateSurvivors.delete(group.url);
+  });
+  
+  await closeMultipleTabs(tabIds, { reasons, mergeInto });
+}
+
+// Pick which tab of each duplicate group stays open (shown with the "Duplicates" filter)
+function renderDuplicateResolver() {
+  const container = document.getElementById('duplicate-resolver');
+  const groups = currentFilter === 'duplicates' ? getDuplicateGroups() : [];
+  
+  container.hidden = groups.length === 0;
+  if (container.hidden) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const now = Date.now();
+  const policy = getDuplicatePolicy(settings);
+  
+  container.innerHTML = `
+    <div class="duplicate-resolver-header">
+      <span>${groups.length} page${groups.length !== 1 ? 's are' : ' is'} open more than once. Pick the tab to keep, or let the rule decide:</span>
+      <select id="duplicate-policy-select" class="filter-select" aria-label="Tab to keep">
+        ${Object.entries(DUPLICATE_POLICIES).map(([key, label]) => `<option value="${key}" ${key === policy ? 'selected' : ''}>Keep: ${label}</option>`).join('')}
+      </select>
+      <button id="resolve-all-duplicates-btn" class="btn btn-warning">Close All Others</button>
+    </div>
+    ${groups.map((group, i) => `
+      <div class="duplicate-group">
+        <div class="duplicate-group-header">
+          <span class="duplicate-group-url" title="${group.url}">${truncate(group.url, 80)}</span>
+          <button class="btn btn-secondary duplicate-resolve-btn" data-group-index="${i}">Close ${group.tabs.length - 1} Other${group.tabs.length > 2 ? 's' : ''}</button>
+        </div>
+        ${group.tabs.map(tab => {
+          const record = tabStats[tab.id];
+          const details = [
+            tab.pinned ? 'pinned' : '',
+            tab.windowId === focusedWindowId ? 'this window' : 'other window',
+            record ? `used ${formatTimestamp(record.lastAccessedAt).toLowerCase()}` : '',
+            record ? `${record.activationCount || 0} activation${record.activationCount !== 1 ? 's' : ''}` : '',
+            record ? `open ${formatDuration(now - record.createdAt)}` : ''
+          ].filter(Boolean).join(' · ');
+          return `
+            <label class="duplicate-tab">
+              <input type="radio" name="duplicate-survivor-${i}" value="${tab.id}" data-group-index="${i}" ${tab === group.survivor ? 'checked' : ''}>
+              <span class="duplicate-tab-title" title="${tab.url}">${truncate(tab.title || 'Untitled', 60)}</span>
+              <span class="duplicate-tab-meta">${details}</span>
+            </label>
+          `;
+        }).join('')}
+      </div>
+    `).join('')}
+  `;
+  
+  document.getElementById('duplicate-policy-select').addEventListener('change', async (e) => {
+    await updateSettings({ duplicatePolicy: e.target.value });
+    settings = { ...settings, duplicatePolicy: e.target.value };
+    duplicateSurvivors.clear();
+    displayTabsList();
+  });
+  
+  document.getElementById('resolve-all-duplicates-btn').addEventListener('click', async () => {
+    const count = groups.reduce((sum, group) => sum + group.tabs.length - 1, 0);
+    if (confirm(`Close ${count} duplicate tabs, keeping the selected tab of each page?`)) {
+      await closeDuplicateGroups(groups);
+    }
+  });
+  
+  container.querySelectorAll('input[type="radio"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      duplicateSurvivors.set(groups[e.target.dataset.groupIndex].url, parseInt(e.target.value));
+      displayTabsList();
+    });
+  });
+  
+  container.querySelectorAll('.duplicate-resolve-btn').forEach(btn => {
+    btn.addEventListener('click', () => closeDuplicateGroups([groups[btn.dataset.groupIndex]]));
+  });
+}
+
+// Close multiple tabs in the service worker, which keeps the close undoable
+// options: { reasons: { tabId: closedReason }, mergeInto: { tabId: survivor tabId } }
+async function closeMultipleTabs(tabIds, options = {}) {
+  const result = await chrome.runtime.sendMessage({ action: 'closeTabs', tabIds, source: 'dashboard', ...options });
+  await loadData();
+  selectedTabIds.clear();
+  refreshCurrentView();
+  
+  if (result?.operationId) {
+    showToast(`Closed ${result.closed} tab${result.closed !== 1 ? 's' : ''}`, {
+      actionLabel: 'Undo',
+      onAction: () => undoCloseOperation(result.operationId)
+    });
+  }
+}
+
+// Reopen the tabs of a close operation (the most recent one by default)
+async function undoCloseOperation(operationId = null) {
+  const result = await chrome.runtime.sendMessage({ action: 'undoClose', operationId });
+  await loadData();
   refreshCurrentView();
+  
+  if (!result || result.error) {
+    showToast('Could not reopen the tabs');
+  } else if (result.total === 0) {
+    showToast('Nothing to undo');
+  } else if (result.restored < result.total) {
+    showToast(`Restored ${result.restored} of ${result.total} tabs`);
+  } else {
+    showToast(`Restored ${result.restored} tab${result.restored !== 1 ? 's' : ''}`);
+  }
+}
+
+// Describe the most recent undoable close on the "Undo Last Cleanup" button
+function updateUndoButton() {
+  const btn = document.getElementById('undo-last-btn');
+  const last = undoStack[undoStack.length - 1];
+  
+  btn.disabled = !last;
+  btn.title = last
+    ? `Reopen ${last.tabs.length} tab${last.tabs.length !== 1 ? 's' : ''} closed ${formatTimestamp(last.timestamp).toLowerCase()}${last.source === 'auto' ? ' by automatic cleanup' : ''}`
+    : 'Nothing to undo';
+}
+
+// Suspend multiple tabs in the service worker, which records the memory freed
+async function suspendMultipleTabs(tabIds) {
+  // Pass on the estimates shown in the list so the savings match them
+  const estimates = {};
+  tabIds.forEach(tabId => {
+    const estimate = memoryEstimates[tabId];
+    if (estimate && estimate.source !== 'discarded') {
+      estimates[tabId] = estimate.estimateMB;
+    }
+  });
+  
+  const result = await chrome.runtime.sendMessage({ action: 'suspendTabs', tabIds, estimates });
+  await loadData();
+  selectedTabIds.clear();
+  refreshCurrentView();
+  estimateMemoryInBackground();
+  return result && !result.error ? result : { suspended: 0, freedMB: 0, tabs: [] };
+}
+
+// Sort domains
+function sortDomains(domains, sortType) {
+  switch (sortType) {
+    case 'time':
+      return domains.sort((a, b) => b.activeTime - a.activeTime);
+    case 'activations':
+      return domains.sort((a, b) => b.totalActivations - a.totalActivations);
+    default:
+      return domains; // Already sorted by tab count
+  }
 }
 
 // Display Domains Tab
 function displayDomains() {
-  const domainStats = getDomainStats(tabStats, currentTabs);
+  document.getElementById('domains-overview').hidden = !!selectedDomain;
+  document.getElementById('domain-detail').hidden = !selectedDomain;
+  if (selectedDomain) {
+    displayDomainDetail();
+    return;
+  }
+  
+  displayGroups();
+  
+  const domains = sortDomains(getDomainStats(tabStats, currentTabs, domainStats), currentDomainSort);
   const container = document.getElementById('domains-list');
   
-  if (domainStats.length === 0) {
+  if (domains.length === 0) {
     container.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">🌐</div>
@@ -647,15 +1504,19 @@ function displayDomains() {
   
   container.innerHTML = '';
   
-  domainStats.forEach(domain => {
+  domains.forEach(domain => {
     const card = document.createElement('div');
     card.className = 'domain-card';
     
     card.innerHTML = `
       <div class="domain-header">
-        <div class="domain-name">${domain.domain}</div>
+        <div class="domain-name domain-name-link" data-domain="${domain.domain}" title="Show domain details">${domain.domain}</div>
         <div class="domain-count">${domain.count} tab${domain.count !== 1 ? 's' : ''}</div>
       </div>
+      <div class="domain-meta">
+        <span title="Total activations of open tabs">${domain.totalActivations} activation${domain.totalActivations !== 1 ? 's' : ''}</span>
+        <span title="Total focused time, including closed tabs">${formatDuration(domain.activeTime)} spent</span>
+      </div>
       <div class="domain-tabs">
         ${domain.tabs.map(tab => `
           <div class="domain-tab-item">
@@ -681,38 +1542,1078 @@ function displayDomains() {
     });
   });
   
-  document.querySelectorAll('.tab-row-action').forEach(btn => {
+  container.querySelectorAll('.tab-row-action').forEach(btn => {
     btn.addEventListener('click', async (e) => {
-      const tabId = parseInt(e.target.dataset.tabId);
-      await chrome.tabs.remove(tabId);
-      await loadData();
+      await closeMultipleTabs([parseInt(e.target.dataset.tabId)]);
+    });
+  });
+  
+  container.querySelectorAll('.domain-name-link').forEach(name => {
+    name.addEventListener('click', () => {
+      selectedDomain = name.dataset.domain;
       displayDomains();
     });
   });
 }
 
+// How closed tabs of a domain ended up closed, by close reason
+const CLOSE_OUTCOMES = [
+  { label: 'Inactive', reasons: ['inactive', 'auto-inactive'] },
+  { label: 'Duplicate', reasons: ['duplicate', 'auto-duplicate'] },
+  { label: 'Closed manually', reasons: ['manual'] },
+  { label: 'Browser closed', reasons: ['session-ended', 'missing'] }
+];
+
+// Display the detail view of the selected domain
+async function displayDomainDetail() {
+  const domainClosedTabs = await getClosedTabs({ domain: selectedDomain });
+  const detail = getDomainDetail(selectedDomain, tabStats, currentTabs, domainClosedTabs, { domainStats, memoryEstimates });
+  const hasMemory = Object.keys(memoryEstimates).length > 0;
+  
+  document.getElementById('domain-detail-name').textContent = detail.domain;
+  document.getElementById('domain-detail-open').textContent = detail.openCount;
+  document.getElementById('domain-detail-activations').textContent = detail.totalActivations;
+  document.getElementById('domain-detail-activations-label').textContent = `Activations (${detail.averageActivations} per tab)`;
+  document.getElementById('domain-detail-lifetime').textContent = detail.closed.count ? formatDuration(detail.closed.averageLifetime) : '-';
+  document.getElementById('domain-detail-memory').textContent = hasMemory ? `${detail.memoryShare}%` : '-';
+  document.getElementById('domain-detail-memory-label').textContent = hasMemory && detail.memoryMB
+    ? `Memory Share (~${formatMemory(detail.memoryMB)})`
+    : 'Memory Share';
+  document.getElementById('domain-detail-history-btn').disabled = detail.closed.count === 0;
+  
+  createDomainOpenChart(detail.openOverTime);
+  renderDomainUrls(detail.topUrls);
+  renderDomainCloseOutcomes(detail);
+}
+
+// Open tabs of the selected domain over the last 30 days
+function createDomainOpenChart(points) {
+  const canvas = document.getElementById('domain-open-chart');
+  
+  if (domainOpenChart) {
+    domainOpenChart.destroy();
+  }
+  
+  toggleChartEmptyState(canvas, points.every(p => p.count === 0), 'No tabs in the last 30 days', 'Based on open tabs and closed tab history');
+  
+  domainOpenChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: points.map(p => p.date),
+      datasets: [{
+        label: 'Open Tabs',
+        data: points.map(p => p.count),
+        borderColor: '#8B5CF6',
+        backgroundColor: 'rgba(139, 92, 246, 0.1)',
+        fill: true,
+        stepped: true
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: {
+          display: false
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            precision: 0
+          }
+        }
+      }
+    }
+  });
+}
+
+// Pages of the selected domain visited most, open or closed
+function renderDomainUrls(urls) {
+  const container = document.getElementById('domain-detail-urls');
+  
+  if (urls.length === 0) {
+    container.innerHTML = '<div class="group-empty">No pages recorded</div>';
+    return;
+  }
+  
+  container.innerHTML = `
+    <div class="domain-tabs">
+      ${urls.map(entry => `
+        <div class="domain-tab-item">
+          <span class="domain-tab-title" data-url="${entry.url}" title="${entry.url}">${truncate(entry.title || entry.url, 50)}</span>
+          <span class="domain-url-meta">${entry.visits} visit${entry.visits !== 1 ? 's' : ''} · ${entry.activations} activation${entry.activations !== 1 ? 's' : ''}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+  
+  // Switch to the page if it is open, otherwise open it again
+  container.querySelectorAll('.domain-tab-title').forEach(title => {
+    title.addEventListener('click', async () => {
+      const tab = currentTabs.find(t => t.url === title.dataset.url);
+      if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+      } else {
+        await chrome.tabs.create({ url: title.dataset.url });
+      }
+    });
+  });
+}
+
+// Share of the selected domain's closed tabs that were inactive, duplicates...
+function renderDomainCloseOutcomes(detail) {
+  const container = document.getElementById('domain-detail-closed');
+  const total = detail.closed.count;
+  
+  if (total === 0) {
+    container.innerHTML = '<div class="group-empty">No closed tabs from this domain in history</div>';
+    return;
+  }
+  
+  const rows = CLOSE_OUTCOMES.map(outcome => {
+    const count = outcome.reasons.reduce((sum, reason) => sum + (detail.closedReasons[reason] || 0), 0);
+    const percent = Math.round((count / total) * 100);
+    return `
+      <div class="domain-outcome-row">
+        <span class="domain-outcome-label">${outcome.label}</span>
+        <div class="domain-outcome-bar"><div style="width: ${percent}%"></div></div>
+        <span class="domain-outcome-value">${count} (${percent}%)</span>
+      </div>
+    `;
+  }).join('');
+  
+  const neverRevisited = Math.round((detail.closed.neverRevisited / total) * 100);
+  container.innerHTML = `
+    ${rows}
+    <div class="domain-outcome-note">${total} closed tab${total !== 1 ? 's' : ''}, ${neverRevisited}% never revisited</div>
+  `;
+}
+
+const HISTORY_REASON_LABELS = {
+  'inactive': 'Closed as inactive',
+  'auto-inactive': 'Auto cleanup (inactive)',
+  'auto-duplicate': 'Auto cleanup (duplicate)',
+  'auto-rule': 'Auto cleanup (rule)',
+  'duplicate': 'Closed as duplicate',
+  'session-ended': 'Browser closed',
+  'missing': 'Gone after restart'
+};
+
+// Closed records have no id of their own; tab ids are reused across sessions
+function getHistoryKey(record) {
+  return `${record.id}-${record.closedAt}`;
+}
+
+// Display History Tab
+function displayHistory() {
+  updateHistoryDomainOptions();
+  
+  const records = getHistoryRecords();
+  const summary = getClosedTabsSummary(records);
+  
+  document.getElementById('history-count').textContent = summary.count;
+  document.getElementById('history-avg-lifetime').textContent = summary.count ? formatDuration(summary.averageLifetime) : '-';
+  document.getElementById('history-avg-activations').textContent = summary.count ? summary.averageActivations : '-';
+  document.getElementById('history-never-revisited').textContent = summary.count
+    ? `${Math.round((summary.neverRevisited / summary.count) * 100)}%`
+    : '-';
+  
+  // Open tabs matching the filters count as still alive in the survival curve
+  const openRecords = filterClosedTabs(Object.values(tabStats), { query: historyQuery, domain: historyDomain });
+  displayLifetimeAnalysis(getLifetimeAnalysis(records, openRecords, { thresholdDays: settings.inactivityThresholdDays || 7 }));
+  
+  renderHistoryTable(records);
+}
+
+// Chart how long closed tabs lived, to compare with the inactivity threshold
+function displayLifetimeAnalysis(analysis) {
+  const thresholdDays = settings.inactivityThresholdDays || 7;
+  const { p50, p75, p90 } = analysis.percentiles;
+  
+  document.getElementById('lifetime-summary').textContent = analysis.count
+    ? `Median ${formatDuration(p50)} · 75% within ${formatDuration(p75)} · 90% within ${formatDuration(p90)} · ${Math.round(analysis.neverRevisitedShare * 100)}% never revisited`
+    : '';
+  document.getElementById('survival-summary').textContent = analysis.count
+    ? `${analysis.medianSurvival !== null ? `Half of your tabs are closed within ${formatDuration(analysis.medianSurvival)}` : 'Most of your tabs outlive your history'}; ${Math.round(analysis.survivalAtThreshold * 100)}% are still open after your ${thresholdDays}-day inactivity threshold`
+    : '';
+  
+  createLifetimeChart(analysis);
+  createSurvivalChart(analysis);
+  renderLifetimeDomains(analysis.byDomain);
+}
+
+// Histogram of closed tab lifetimes
+function createLifetimeChart(analysis) {
+  const canvas = document.getElementById('lifetime-chart');
+  
+  if (lifetimeChart) {
+    lifetimeChart.destroy();
+  }
+  
+  toggleChartEmptyState(canvas, analysis.count === 0, 'No closed tabs yet', 'Lifetimes show up once you close tabs');
+  
+  lifetimeChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: analysis.histogram.map(bucket => bucket.label),
+      datasets: [{
+        label: 'Closed Tabs',
+        data: analysis.histogram.map(bucket => bucket.count),
+        backgroundColor: '#8B5CF6',
+        borderRadius: 4
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: {
+          display: false
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            precision: 0
+          }
+        }
+      }
+    }
+  });
+}
+
+// Share of tabs still open at each age
+function createSurvivalChart(analysis) {
+  const canvas = document.getElementById('survival-chart');
+  
+  if (survivalChart) {
+    survivalChart.destroy();
+  }
+  
+  toggleChartEmptyState(canvas, analysis.count === 0, 'No closed tabs yet', 'The curve needs tabs you have closed');
+  
+  const formatAge = time => {
+    const hours = time / (60 * 60 * 1000);
+    return hours < 24 ? `${hours}h` : `${hours / 24}d`;
+  };
+  
+  survivalChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: analysis.survival.map(point => formatAge(point.time)),
+      datasets: [{
+        label: 'Still Open',
+        data: analysis.survival.map(point => Math.round(point.surviving * 1000) / 10),
+        borderColor: '#8B5CF6',
+        backgroundColor: 'rgba(139, 92, 246, 0.1)',
+        fill: true,
+        stepped: true
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            label: context => `${context.parsed.y}% still open after ${context.label}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          max: 100,
+          ticks: {
+            callback: value => `${value}%`
+          }
+        }
+      }
+    }
+  });
+}
+
+// Median and 90th percentile lifetime of each domain's closed tabs
+function renderLifetimeDomains(domains) {
+  const container = document.getElementById('lifetime-domains');
+  
+  if (domains.length === 0) {
+    container.innerHTML = '<div class="group-empty">Domains show up here once 3 or more of their tabs have been closed</div>';
+    return;
+  }
+  
+  container.innerHTML = `
+    <table class="tabs-table">
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Closed</th>
+          <th>Median Lifetime</th>
+          <th>90% Closed Within</th>
+          <th>Never Revisited</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${domains.slice(0, 20).map(entry => `
+          <tr class="lifetime-domain-row" data-domain="${entry.domain}" title="Show only ${entry.domain}">
+            <td>${entry.domain}</td>
+            <td>${entry.count}</td>
+            <td>${formatDuration(entry.medianLifetime)}</td>
+            <td>${formatDuration(entry.p90Lifetime)}</td>
+            <td>${Math.round(entry.neverRevisitedShare * 100)}%</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  container.querySelectorAll('.lifetime-domain-row').forEach(row => {
+    row.addEventListener('click', () => {
+      historyDomain = row.dataset.domain;
+      historyLimit = HISTORY_PAGE_SIZE;
+      displayHistory();
+    });
+  });
+}
+
+// Closed tabs matching the History filters, newest first
+function getHistoryRecords() {
+  const since = historyRange === 'all' ? 0 : Date.now() - parseInt(historyRange) * 24 * 60 * 60 * 1000;
+  return filterClosedTabs(closedTabs, { query: historyQuery, since, domain: historyDomain });
+}
+
+// Keep the domain filter in sync with the history, preserving the selection
+function updateHistoryDomainOptions() {
+  const select = document.getElementById('history-domain-select');
+  const domains = getClosedTabDomains(closedTabs);
+  
+  if (historyDomain && !domains.some(d => d.domain === historyDomain)) {
+    historyDomain = '';
+  }
+  
+  select.innerHTML = `
+    <option value="">All Domains</option>
+    ${domains.map(d => `<option value="${d.domain}">${d.domain} (${d.count})</option>`).join('')}
+  `;
+  select.value = historyDomain;
+}
+
+// Render closed tabs table
+function renderHistoryTable(records) {
+  const container = document.getElementById('history-table-container');
+  updateReopenSelectedCount();
+  
+  if (records.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🕘</div>
+        <div class="empty-state-title">No closed tabs found</div>
+        <div class="empty-state-message">${closedTabs.length ? 'Try adjusting your filters or search query' : 'Tabs you close will show up here'}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  const visible = records.slice(0, historyLimit);
+  
+  container.innerHTML = `
+    <table class="tabs-table">
+      <thead>
+        <tr>
+          <th><input type="checkbox" id="history-select-all"></th>
+          <th>Tab</th>
+          <th>Domain</th>
+          <th>Closed</th>
+          <th>Lifetime</th>
+          <th>Activations</th>
+          <th>Time Spent</th>
+          <th>Reason</th>
+          <th>Action</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${visible.map(record => {
+          const key = getHistoryKey(record);
+          return `
+            <tr data-history-key="${key}">
+              <td><input type="checkbox" class="history-row-checkbox" data-history-key="${key}" ${selectedHistoryKeys.has(key) ? 'checked' : ''}></td>
+              <td title="${record.url}">
+                <img class="tab-row-favicon" src="${getFaviconUrl(record.url)}" alt="">
+                <span>${truncate(record.title || 'Untitled', 60)}</span>
+                ${record.archived ? '<span class="tab-row-badge">Archived</span>' : ''}
+              </td>
+              <td class="tab-row-domain">${record.domain || 'unknown'}</td>
+              <td>${formatTimestamp(record.closedAt)}</td>
+              <td>${formatDuration(record.closedAt - record.createdAt)}</td>
+              <td>${record.activationCount || 0}</td>
+              <td class="tab-row-time">${formatDuration(record.activeTime || 0)}</td>
+              <td class="history-reason">${HISTORY_REASON_LABELS[record.closedReason] || 'Closed'}</td>
+              <td><button class="history-reopen-btn" data-history-key="${key}">Reopen</button></td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+    ${records.length > visible.length ? `
+      <div class="history-more">
+        Showing ${visible.length} of ${records.length}
+        <button id="history-more-btn" class="btn btn-secondary">Show More</button>
+      </div>
+    ` : ''}
+  `;
+  
+  const recordsByKey = new Map(visible.map(record => [getHistoryKey(record), record]));
+  
+  document.getElementById('history-select-all').addEventListener('change', (e) => {
+    document.querySelectorAll('.history-row-checkbox').forEach(cb => {
+      cb.checked = e.target.checked;
+      if (e.target.checked) {
+        selectedHistoryKeys.add(cb.dataset.historyKey);
+      } else {
+        selectedHistoryKeys.delete(cb.dataset.historyKey);
+      }
+    });
+    updateReopenSelectedCount();
+  });
+  
+  document.querySelectorAll('.history-row-checkbox').forEach(cb => {
+    cb.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        selectedHistoryKeys.add(e.target.dataset.historyKey);
+      } else {
+        selectedHistoryKeys.delete(e.target.dataset.historyKey);
+      }
+      updateReopenSelectedCount();
+    });
+  });
+  
+  document.querySelectorAll('.history-reopen-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const record = recordsByKey.get(e.target.dataset.historyKey);
+      if (record) {
+        await reopenClosedTabs([record], document.getElementById('reopen-new-window').checked);
+      }
+    });
+  });
+  
+  document.getElementById('history-more-btn')?.addEventListener('click', () => {
+    historyLimit += HISTORY_PAGE_SIZE;
+    renderHistoryTable(records);
+  });
+}
+
+// Update reopen selected count
+function updateReopenSelectedCount() {
+  const btn = document.getElementById('reopen-selected-btn');
+  btn.textContent = `Reopen Selected (${selectedHistoryKeys.size})`;
+  btn.disabled = selectedHistoryKeys.size === 0;
+}
+
+// Reopen closed tabs in the current window or in a new one
+async function reopenClosedTabs(records, inNewWindow) {
+  const urls = records.map(record => record.url).filter(Boolean);
+  if (urls.length === 0) return;
+  
+  try {
+    if (inNewWindow) {
+      await chrome.windows.create({ url: urls, focused: true });
+    } else {
+      // A single tab is opened in the foreground; a batch stays in the background
+      for (const url of urls) {
+        await chrome.tabs.create({ url, active: urls.length === 1 });
+      }
+    }
+  } catch (error) {
+    console.error('Error reopening tabs:', error);
+    alert('Some tabs could not be reopened.');
+  }
+  
+  await loadData();
+}
+
+// Display per-group statistics in the Domains tab
+function displayGroups() {
+  const container = document.getElementById('groups-list');
+  const groups = getGroupStats(tabStats, currentTabs, tabGroups, memoryEstimates, settings.inactivityThresholdDays || 7);
+  
+  if (groups.length === 0) {
+    container.innerHTML = `<div class="group-empty">${chrome.tabGroups ? 'No tab groups open.' : 'This browser does not support tab groups.'}</div>`;
+    return;
+  }
+  
+  container.innerHTML = groups.map(group => `
+    <div class="domain-card">
+      <div class="domain-header">
+        <div class="domain-name">
+          <span class="group-dot" style="background: ${GROUP_COLORS[group.color] || GROUP_COLORS.grey}"></span><span class="group-title"></span>
+        </div>
+        <div class="domain-count">${group.count} tab${group.count !== 1 ? 's' : ''}</div>
+      </div>
+      <div class="domain-meta">
+        <span title="Average Tab Health Score">Health ${group.averageHealth}</span>
+        <span title="Estimated memory">${formatMemory(group.memoryMB)}</span>
+        <span title="Tabs not accessed within the inactivity threshold">${group.inactiveCount} inactive</span>
+        <span title="Most recent use of any tab in the group">${group.lastAccessedAt ? `used ${formatTimestamp(group.lastAccessedAt).toLowerCase()}` : 'never used'}</span>
+      </div>
+    </div>
+  `).join('');
+  container.querySelectorAll('.group-title').forEach((title, i) => {
+    title.textContent = groups[i].title;
+  });
+}
+
+// Group tabs in the service worker: { by: 'domain' | 'review' } or { tabIds, title }
+async function groupTabs(options) {
+  const result = await chrome.runtime.sendMessage({ action: 'groupTabs', ...options });
+  await loadData();
+  refreshCurrentView();
+  
+  showToast(result?.tabs > 0
+    ? `Grouped ${result.tabs} tab${result.tabs !== 1 ? 's' : ''} into ${result.groups} group${result.groups !== 1 ? 's' : ''}`
+    : 'No tabs to group');
+}
+
+// Save all open windows as a named session
+async function saveSession() {
+  const input = document.getElementById('session-name-input');
+  const snapshot = await chrome.runtime.sendMessage({ action: 'saveSession', name: input.value });
+  input.value = '';
+  await displaySessions();
+  showToast(`Saved "${snapshot.name}"`);
+}
+
+// Display Sessions Tab
+async function displaySessions() {
+  const container = document.getElementById('sessions-list');
+  const snapshots = (await getSessionSnapshots()).slice().reverse();
+  
+  if (snapshots.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🗂️</div>
+        <div class="empty-state-title">No saved sessions</div>
+        <div class="empty-state-message">Save your open windows to bring them back later</div>
+      </div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  snapshots.forEach(snapshot => {
+    const tabCount = snapshot.windows.reduce((sum, win) => sum + win.tabs.length, 0);
+    const card = document.createElement('div');
+    card.className = 'session-card';
+    
+    card.innerHTML = `
+      <div class="session-header">
+        <div>
+          <div class="session-name"></div>
+          <div class="session-meta">
+            ${snapshot.windows.length} window${snapshot.windows.length !== 1 ? 's' : ''} ·
+            ${tabCount} tab${tabCount !== 1 ? 's' : ''} ·
+            saved ${formatTimestamp(snapshot.createdAt).toLowerCase()}
+          </div>
+        </div>
+        <div class="session-actions">
+          <button class="btn btn-secondary session-compare-btn">Compare</button>
+          <button class="btn btn-primary session-restore-btn">Restore</button>
+          <button class="btn btn-danger session-delete-btn">Delete</button>
+        </div>
+      </div>
+      <div class="session-diff" hidden></div>
+    `;
+    // The user names sessions, so don't parse the name as HTML
+    card.querySelector('.session-name').textContent = snapshot.name;
+    
+    card.querySelector('.session-compare-btn').addEventListener('click', async () => {
+      const diffElement = card.querySelector('.session-diff');
+      if (diffElement.hidden) {
+        await loadData();
+        renderSessionDiff(diffElement, snapshot);
+      }
+      diffElement.hidden = !diffElement.hidden;
+    });
+    
+    card.querySelector('.session-restore-btn').addEventListener('click', async () => {
+      const result = await chrome.runtime.sendMessage({ action: 'restoreSession', snapshotId: snapshot.id });
+      await loadData();
+      if (!result || result.error) {
+        showToast(`Could not restore "${snapshot.name}"`);
+        return;
+      }
+      showToast(`Restored ${result.tabs} tab${result.tabs !== 1 ? 's' : ''} in ${result.windows} new window${result.windows !== 1 ? 's' : ''}`);
+    });
+    
+    card.querySelector('.session-delete-btn').addEventListener('click', async () => {
+      if (confirm(`Delete the session "${snapshot.name}"?`)) {
+        await chrome.runtime.sendMessage({ action: 'deleteSession', snapshotId: snapshot.id });
+        await displaySessions();
+      }
+    });
+    
+    container.appendChild(card);
+  });
+}
+
+// Show which tabs were opened or closed since the snapshot was taken
+function renderSessionDiff(element, snapshot) {
+  // Excluded tabs are never saved, so they are left out of the comparison too
+  const trackableTabs = currentTabs.filter(tab => !isExcludedTab(tab, settings));
+  const diff = compareSessionSnapshot(snapshot, trackableTabs);
+  
+  const renderList = (tabs, className, sign) => tabs.length === 0 ? '' : `
+    <ul class="session-diff-list">
+      ${tabs.map(tab => `<li class="${className}" title="${tab.url}">${sign} ${truncate(tab.title || tab.url || 'Untitled', 80)}</li>`).join('')}
+    </ul>
+  `;
+  
+  element.innerHTML = `
+    <div class="session-diff-summary">
+      ${diff.unchanged} tab${diff.unchanged !== 1 ? 's' : ''} still open ·
+      ${diff.removed.length} closed since ·
+      ${diff.added.length} opened since
+    </div>
+    ${renderList(diff.removed, 'session-diff-removed', '−')}
+    ${renderList(diff.added, 'session-diff-added', '+')}
+  `;
+}
+
 // Display Settings Tab
 function displaySettings() {
   document.getElementById('tracking-enabled').checked = settings.trackingEnabled !== false;
+  document.getElementById('exclude-incognito').checked = settings.excludeIncognito !== false;
+  document.getElementById('excluded-sites').value = (settings.excludedSites || []).join('\n');
   document.getElementById('data-retention').value = settings.dataRetentionDays || 30;
   document.getElementById('inactivity-threshold').value = settings.inactivityThresholdDays || 7;
   document.getElementById('show-notifications').checked = settings.showNotifications !== false;
+  document.getElementById('sync-settings').checked = !!settings.syncSettings;
+  
+  // Automatic cleanup
+  document.getElementById('auto-close-enabled').checked = !!settings.autoCloseEnabled;
+  document.getElementById('auto-cleanup-action').value = settings.autoCleanupAction || 'close';
+  document.getElementById('auto-cleanup-grace').value = settings.autoCleanupGraceMinutes ?? 60;
+  document.getElementById('auto-cleanup-duplicates').checked = settings.autoCleanupDuplicates !== false;
+  document.getElementById('protect-pinned').checked = settings.protectPinned !== false;
+  document.getElementById('protect-audible').checked = settings.protectAudible !== false;
+  document.getElementById('protected-domains').value = (settings.protectedDomains || []).join('\n');
+  
+  // Duplicate detection
+  const normalization = getNormalizationOptions(settings);
+  document.getElementById('duplicate-ignore-fragment').checked = normalization.ignoreFragment;
+  document.getElementById('duplicate-ignore-trailing-slash').checked = normalization.ignoreTrailingSlash;
+  document.getElementById('duplicate-ignore-protocol').checked = normalization.ignoreProtocol;
+  document.getElementById('duplicate-ignore-www').checked = normalization.ignoreWww;
+  document.getElementById('duplicate-ignored-params').value = normalization.ignoredParams.join('\n');
+  document.getElementById('duplicate-canonical-rules').value = formatCanonicalRules(normalization.canonicalRules);
+  document.getElementById('duplicate-policy').value = getDuplicatePolicy(settings);
+  document.getElementById('duplicate-merge-stats').checked = settings.duplicateMergeStats !== false;
+  
+  displayCleanupLog();
+  displayRules();
+  displaySyncStatus();
+  displayStorageUsage();
 }
 
 // Save settings
 async function saveSettings() {
+  const canonicalRules = parseCanonicalRules(document.getElementById('duplicate-canonical-rules').value);
+  if (canonicalRules.errors.length > 0) {
+    alert(`Please fix the per-site duplicate rules:\n\n${canonicalRules.errors.join('\n')}`);
+    return;
+  }
+  
   const newSettings = {
     trackingEnabled: document.getElementById('tracking-enabled').checked,
+    excludeIncognito: document.getElementById('exclude-incognito').checked,
+    excludedSites: parseExclusionList(document.getElementById('excluded-sites').value),
     dataRetentionDays: parseInt(document.getElementById('data-retention').value),
     inactivityThresholdDays: parseInt(document.getElementById('inactivity-threshold').value),
-    showNotifications: document.getElementById('show-notifications').checked
+    showNotifications: document.getElementById('show-notifications').checked,
+    autoCloseEnabled: document.getElementById('auto-close-enabled').checked,
+    autoCleanupAction: document.getElementById('auto-cleanup-action').value,
+    autoCleanupGraceMinutes: parseInt(document.getElementById('auto-cleanup-grace').value) || 0,
+    autoCleanupDuplicates: document.getElementById('auto-cleanup-duplicates').checked,
+    protectPinned: document.getElementById('protect-pinned').checked,
+    protectAudible: document.getElementById('protect-audible').checked,
+    protectedDomains: parseExclusionList(document.getElementById('protected-domains').value),
+    duplicateIgnoreFragment: document.getElementById('duplicate-ignore-fragment').checked,
+    duplicateIgnoreTrailingSlash: document.getElementById('duplicate-ignore-trailing-slash').checked,
+    duplicateIgnoreProtocol: document.getElementById('duplicate-ignore-protocol').checked,
+    duplicateIgnoreWww: document.getElementById('duplicate-ignore-www').checked,
+    duplicateIgnoredParams: parseExclusionList(document.getElementById('duplicate-ignored-params').value),
+    duplicateCanonicalRules: canonicalRules.rules,
+    duplicatePolicy: document.getElementById('duplicate-policy').value,
+    duplicateMergeStats: document.getElementById('duplicate-merge-stats').checked,
+    syncSettings: document.getElementById('sync-settings').checked
   };
   
   await updateSettings(newSettings);
-  settings = newSettings;
+  settings = { ...settings, ...newSettings };
+  displaySettings();
   alert('Settings saved successfully!');
 }
 
+// Display the recommendation rules with the number of open tabs each matches
+function displayRules() {
+  const container = document.getElementById('rules-list');
+  const rules = settings.recommendationRules || [];
+  
+  if (rules.length === 0) {
+    container.innerHTML = '<div class="cleanup-item">No rules yet. The built-in recommendations still apply.</div>';
+    return;
+  }
+  
+  const context = createRuleContext(tabStats, currentTabs, settings, { memoryEstimates, focusedWindowId });
+  
+  // Names and condition values are the user's (or an imported file's), so they are set as text
+  container.replaceChildren(...rules.map(rule => {
+    const matches = evaluateRule(rule, currentTabs, context).length;
+    const conditions = rule.conditions.map(describeCondition).join(' and ');
+    const item = document.createElement('div');
+    item.className = `cleanup-item rule-item ${rule.enabled === false ? 'rule-item-disabled' : ''}`;
+    item.dataset.ruleId = rule.id;
+    item.innerHTML = `
+      <input type="checkbox" class="rule-enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+      <div class="rule-item-info">
+        <div class="rule-item-name"></div>
+        <div class="rule-item-conditions"></div>
+      </div>
+      <span class="cleanup-item-meta"></span>
+      <button class="rule-item-btn rule-edit-btn">Edit</button>
+      <button class="rule-item-btn rule-delete-btn">Delete</button>
+    `;
+    item.querySelector('.rule-item-name').textContent = rule.name;
+    item.querySelector('.rule-item-conditions').textContent = conditions;
+    item.querySelector('.rule-item-conditions').title = conditions;
+    item.querySelector('.cleanup-item-meta').textContent = `${rule.priority} · ${RULE_ACTIONS[rule.action].toLowerCase()} · ${matches} tab${matches !== 1 ? 's' : ''}`;
+    return item;
+  }));
+  
+  container.querySelectorAll('.rule-item').forEach(item => {
+    const ruleId = item.dataset.ruleId;
+    
+    item.querySelector('.rule-enabled').addEventListener('change', (e) => {
+      saveRules(rules.map(rule => rule.id === ruleId ? { ...rule, enabled: e.target.checked } : rule));
+    });
+    item.querySelector('.rule-edit-btn').addEventListener('click', () => {
+      openRuleEditor(rules.find(rule => rule.id === ruleId));
+    });
+    item.querySelector('.rule-delete-btn').addEventListener('click', () => {
+      const rule = rules.find(r => r.id === ruleId);
+      if (confirm(`Delete the rule "${rule.name}"?`)) {
+        saveRules(rules.filter(r => r.id !== ruleId));
+      }
+    });
+  });
+}
+
+// Store the rules with the settings; they take effect immediately
+async function saveRules(rules) {
+  await updateSettings({ recommendationRules: rules });
+  settings = { ...settings, recommendationRules: rules };
+  displayRules();
+}
+
+// Edit a copy of a rule, or start a new one
+function openRuleEditor(rule = null) {
+  editingRule = rule
+    ? structuredClone(rule)
+    : {
+        id: null,
+        name: '',
+        priority: 'medium',
+        action: 'review',
+        message: '',
+        enabled: true,
+        conditions: [{ field: 'inactiveDays', operator: 'gt', value: settings.inactivityThresholdDays || 7 }]
+      };
+  
+  document.getElementById('rule-name').value = editingRule.name;
+  document.getElementById('rule-priority').value = editingRule.priority;
+  document.getElementById('rule-action').value = editingRule.action;
+  document.getElementById('rule-message').value = editingRule.message || '';
+  document.getElementById('rule-errors').innerHTML = '';
+  document.getElementById('rule-editor').hidden = false;
+  renderRuleConditions();
+  document.getElementById('rule-name').focus();
+}
+
+function closeRuleEditor() {
+  editingRule = null;
+  document.getElementById('rule-editor').hidden = true;
+}
+
+// One row per condition: field, operator and a value input matching the field type
+function renderRuleConditions() {
+  const container = document.getElementById('rule-conditions');
+  
+  container.innerHTML = editingRule.conditions.map(condition => {
+    const field = RULE_FIELDS[condition.field];
+    return `
+      <div class="rule-condition">
+        <select class="filter-select rule-condition-field" aria-label="Field">
+          ${Object.entries(RULE_FIELDS).map(([key, f]) => `<option value="${key}" ${key === condition.field ? 'selected' : ''}>${f.label}</option>`).join('')}
+        </select>
+        <select class="filter-select rule-condition-operator" aria-label="Operator">
+          ${field.operators.map(op => `<option value="${op}" ${op === condition.operator ? 'selected' : ''}>${RULE_OPERATORS[op]}</option>`).join('')}
+        </select>
+        ${renderConditionValue(field, condition.value)}
+        <button class="rule-item-btn rule-condition-remove" title="Remove condition">✕</button>
+      </div>
+    `;
+  }).join('');
+  
+  container.querySelectorAll('.rule-condition').forEach((row, i) => {
+    row.querySelector('.rule-condition-field').addEventListener('change', (e) => {
+      readRuleEditor();
+      const field = RULE_FIELDS[e.target.value];
+      const defaults = { number: 0, text: '', boolean: true };
+      editingRule.conditions[i] = { field: e.target.value, operator: field.operators[0], value: defaults[field.type] };
+      renderRuleConditions();
+    });
+    row.querySelector('.rule-condition-remove').addEventListener('click', () => {
+      readRuleEditor();
+      editingRule.conditions.splice(i, 1);
+      renderRuleConditions();
+    });
+  });
+}
+
+function renderConditionValue(field, value) {
+  if (field.type === 'boolean') {
+    return `
+      <select class="filter-select rule-condition-value" aria-label="Value">
+        <option value="true" ${value === true ? 'selected' : ''}>yes</option>
+        <option value="false" ${value === false ? 'selected' : ''}>no</option>
+      </select>
+    `;
+  }
+  if (field.type === 'number') {
+    return `<input type="number" class="rule-condition-value" min="0" step="any" value="${value ?? ''}" aria-label="Value">`;
+  }
+  const placeholder = field === RULE_FIELDS.url ? 'news.example.com/*' : 'example.com';
+  return `<input type="text" class="rule-condition-value" value="${value ?? ''}" placeholder="${placeholder}" aria-label="Value">`;
+}
+
+// Copy the editor's inputs into the rule being edited
+function readRuleEditor() {
+  editingRule.name = document.getElementById('rule-name').value.trim();
+  editingRule.priority = document.getElementById('rule-priority').value;
+  editingRule.action = document.getElementById('rule-action').value;
+  editingRule.message = document.getElementById('rule-message').value.trim();
+  
+  editingRule.conditions = Array.from(document.querySelectorAll('#rule-conditions .rule-condition')).map(row => {
+    const field = row.querySelector('.rule-condition-field').value;
+    const input = row.querySelector('.rule-condition-value');
+    const values = {
+      number: () => parseFloat(input.value),
+      boolean: () => input.value === 'true',
+      text: () => input.value.trim()
+    };
+    return {
+      field,
+      operator: row.querySelector('.rule-condition-operator').value,
+      value: values[RULE_FIELDS[field].type]()
+    };
+  });
+}
+
+async function saveRuleFromEditor() {
+  readRuleEditor();
+  const rules = [...(settings.recommendationRules || [])];
+  const errors = validateRule(editingRule);
+  
+  if (!editingRule.id && rules.length >= MAX_RULES) {
+    errors.push(`You can have at most ${MAX_RULES} rules`);
+  }
+  if (errors.length > 0) {
+    document.getElementById('rule-errors').innerHTML = errors.map(error => `<div>${error}</div>`).join('');
+    return;
+  }
+  
+  if (editingRule.id) {
+    const index = rules.findIndex(rule => rule.id === editingRule.id);
+    rules[index] = editingRule;
+  } else {
+    rules.push({ ...editingRule, id: createRuleId() });
+  }
+  
+  closeRuleEditor();
+  await saveRules(rules);
+}
+
+// Add the rules of an exported ruleset file to the existing ones
+async function importRules(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  const { rules, errors } = parseRuleset(await file.text());
+  const existing = settings.recommendationRules || [];
+  
+  if (errors.length > 0) {
+    alert(`Could not import rules:\n\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? `\n...and ${errors.length - 10} more` : ''}`);
+    return;
+  }
+  if (existing.length + rules.length > MAX_RULES) {
+    alert(`Could not import rules: you can have at most ${MAX_RULES} rules (${existing.length} already defined).`);
+    return;
+  }
+  
+  await saveRules([...existing, ...rules]);
+  showToast(`Imported ${rules.length} rule${rules.length !== 1 ? 's' : ''}`);
+}
+
+// Labels for cleanup actions and reasons
+const CLEANUP_ACTION_LABELS = { close: 'Closed', discard: 'Suspended', archive: 'Archived' };
+const CLEANUP_REASON_LABELS = { inactive: 'inactive', duplicate: 'duplicate', rule: 'rule' };
+
+// Preview what automatic cleanup would do with the saved settings
+async function previewCleanup() {
+  const container = document.getElementById('cleanup-preview');
+  const preview = await chrome.runtime.sendMessage({ action: 'previewCleanup' });
+  
+  if (!preview || preview.candidates.length === 0) {
+    container.innerHTML = '<div class="cleanup-item">No tabs would be cleaned up right now.</div>';
+    return;
+  }
+  
+  // Rules that suspend tabs do so whatever the cleanup action is
+  const counts = {};
+  preview.candidates.forEach(candidate => {
+    const action = candidate.action || preview.action;
+    counts[action] = (counts[action] || 0) + 1;
+  });
+  const outcome = Object.entries(counts)
+    .map(([action, count]) => `${count} tab${count !== 1 ? 's' : ''} would be ${CLEANUP_ACTION_LABELS[action].toLowerCase()}`)
+    .join(', ');
+  const header = preview.enabled ? outcome : `Automatic cleanup is off. When enabled, ${outcome}`;
+  
+  container.innerHTML = `
+    <div class="cleanup-item"><strong>${header}</strong></div>
+    ${preview.candidates.map(candidate => `
+      <div class="cleanup-item">
+        <span class="cleanup-item-title" title="${candidate.url}">${truncate(candidate.title || 'Untitled', 60)}</span>
+        <span class="cleanup-item-meta"></span>
+      </div>
+    `).join('')}
+  `;
+  // Rule names are the user's, so the reasons are set as text
+  container.querySelectorAll('.cleanup-item-meta').forEach((meta, i) => {
+    const candidate = preview.candidates[i];
+    const reason = candidate.reason === 'rule' ? `rule "${candidate.ruleName}"` : CLEANUP_REASON_LABELS[candidate.reason];
+    const action = candidate.action && candidate.action !== preview.action ? ` · ${CLEANUP_ACTION_LABELS[candidate.action].toLowerCase()}` : '';
+    meta.textContent = `${reason}${action} · ${candidate.dueAt <= Date.now() ? 'next run' : `after ${new Date(candidate.dueAt).toLocaleTimeString()}`}`;
+  });
+}
+
+// Display the automatic cleanup activity log (newest first)
+async function displayCleanupLog() {
+  const container = document.getElementById('cleanup-log');
+  const log = await getCleanupLog();
+  
+  if (log.length === 0) {
+    container.innerHTML = '<div class="cleanup-item">No automatic cleanup has run yet.</div>';
+    return;
+  }
+  
+  const undoableIds = new Set(undoStack.map(operation => operation.id));
+  
+  container.innerHTML = log.slice().reverse().map(entry => `
+    <div class="cleanup-item" title="${entry.tabs.map(tab => tab.title || tab.url).join('\n')}">
+      <span class="cleanup-item-title">${CLEANUP_ACTION_LABELS[entry.action]} ${entry.tabs.length} tab${entry.tabs.length !== 1 ? 's' : ''} (${summarizeCleanupDomains(entry.tabs)})${entry.freedMB ? `, freed ~${formatMemory(entry.freedMB)}` : ''}</span>
+      <span class="cleanup-item-meta">
+        ${formatTimestamp(entry.timestamp)}
+        ${undoableIds.has(entry.operationId) ? `<button class="cleanup-undo-btn" data-operation-id="${entry.operationId}">Undo</button>` : ''}
+      </span>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('.cleanup-undo-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      await undoCloseOperation(e.target.dataset.operationId);
+      displayCleanupLog();
+    });
+  });
+}
+
+// Show whether settings sync, and mark each setting as synced or kept on this device
+async function displaySyncStatus() {
+  const status = await getSyncStatus();
+  const statusEl = document.getElementById('sync-status');
+  
+  if (!status.enabled) {
+    statusEl.textContent = 'Sync is off. Settings are saved on this device only.';
+  } else if (status.error) {
+    statusEl.textContent = status.error;
+  } else if (!status.syncedAt) {
+    statusEl.textContent = 'Waiting for the first sync...';
+  } else {
+    statusEl.textContent = `Last synced ${formatTimestamp(status.syncedAt).toLowerCase()} · ${formatBytes(status.bytes)} of ${formatBytes(status.quota)} sync storage`;
+  }
+  statusEl.classList.toggle('sync-status-error', status.enabled && !!status.error);
+  
+  document.querySelectorAll('.setting-group[data-settings]').forEach(group => {
+    group.querySelector('.sync-badge')?.remove();
+    if (!status.enabled) return;
+    
+    const synced = group.dataset.settings.split(' ').every(isSyncedSetting);
+    const badge = document.createElement('span');
+    badge.className = `sync-badge${synced ? ' sync-badge-synced' : ''}`;
+    badge.textContent = synced ? 'Synced' : 'This device';
+    group.prepend(badge);
+  });
+}
+
+// Display the space used by each category of data, largest first
+async function displayStorageUsage() {
+  const container = document.getElementById('storage-usage');
+  const usage = await getStorageUsage();
+  const share = (bytes, quota) => (quota ? ` (${Math.round((bytes / quota) * 100)}%)` : '');
+  
+  container.innerHTML = `
+    <div class="cleanup-item">
+      <strong class="cleanup-item-title">Extension storage</strong>
+      <span class="cleanup-item-meta">${formatBytes(usage.localBytes)} of ${formatBytes(usage.localQuota)}${share(usage.localBytes, usage.localQuota)}</span>
+    </div>
+    <div class="cleanup-item">
+      <strong class="cleanup-item-title">Database</strong>
+      <span class="cleanup-item-meta">${formatBytes(usage.databaseBytes)}</span>
+    </div>
+    ${usage.categories.slice().sort((a, b) => b.bytes - a.bytes).map(category => `
+      <div class="cleanup-item">
+        <span class="cleanup-item-title">${category.label}</span>
+        <span class="cleanup-item-meta">${category.count !== undefined ? `${category.count.toLocaleString()} record${category.count !== 1 ? 's' : ''} · ` : ''}${formatBytes(category.bytes)}</span>
+      </div>
+    `).join('')}
+  `;
+}
+
+async function compactStorage() {
+  const result = await chrome.runtime.sendMessage({ action: 'compactStorage' });
+  const removed = result.closedTabs + result.activityLog;
+  
+  await loadData();
+  displayStorageUsage();
+  showToast(removed > 0
+    ? `Removed ${removed} old or duplicate record${removed !== 1 ? 's' : ''}`
+    : 'Nothing to compact');
+}
+
+// Short list of the domains in a cleanup entry
+function summarizeCleanupDomains(tabs) {
+  const domains = Array.from(new Set(tabs.map(tab => tab.domain)));
+  return domains.length > 3 ? `${domains.slice(0, 3).join(', ')} +${domains.length - 3} more` : domains.join(', ');
+}
+
 // Estimate memory in background and update UI
 async function estimateMemoryInBackground() {
   try {
@@ -777,6 +2678,16 @@ function updateMemoryUI() {
     }
   });
 
+  // Group cards and the domain detail include memory totals
+  if (document.getElementById('domains-tab').classList.contains('active')) {
+    displayDomains();
+  }
+  
+  // Rules with memory conditions can only match once estimates are in
+  if (document.getElementById('overview-tab').classList.contains('active')) {
+    displayOverviewRecommendations();
+  }
+
   // Create/update memory by domain chart
   createMemoryDomainChart();
 }
@@ -0,0 +1,77 @@
+// Activity Log
+// The service worker records when tabs are switched to, opened and closed, so
+// the Overview can show at which hours of the week tab sprawl happens:
+//   activityLog: [{ type: "activated" | "opened" | "closed", timestamp, domain }]
+// Events are kept in IndexedDB (see shared/history-db.js) for four weeks, so
+// every weekday is seen a few times; storage compaction drops older ones.
+
+export const ACTIVITY_RETENTION_DAYS = 28;
+export const MAX_ACTIVITY_EVENTS = 20000;
+
+export const ACTIVITY_TYPES = {
+  activated: 'Switches',
+  opened: 'Opens',
+  closed: 'Closes'
+};
+
+// Heatmap rows start on Monday, so the work week reads top to bottom
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Count events by day of week and hour of day, in local time
+ * @param {Array} log - Activity events, oldest first
+ * @param {Object} options - { domain: only events on this domain, types: event types to count }
+ * @returns {Object} - { cells: 7 rows (Monday first) of 24 counts, max, total, days: distinct days covered }
+ */
+export function buildActivityHeatmap(log, { domain = '', types = Object.keys(ACTIVITY_TYPES) } = {}) {
+  const cells = WEEKDAYS.map(() => new Array(24).fill(0));
+  const days = new Set();
+  let total = 0;
+
+  log.forEach(event => {
+    if (!types.includes(event.type)) return;
+    if (domain && event.domain !== domain) return;
+
+    const date = new Date(event.timestamp);
+    const row = (date.getDay() + 6) % 7;
+    cells[row][date.getHours()]++;
+    days.add(date.toDateString());
+    total++;
+  });
+
+  const max = Math.max(0, ...cells.map(row => Math.max(...row)));
+  return { cells, max, total, days: days.size };
+}
+
+/**
+ * Find the busiest hour of the week in a heatmap
+ * @param {Object} heatmap - From buildActivityHeatmap()
+ * @returns {Object|null} - { day: "Tue", hour: 10, count }, null when nothing was recorded
+ */
+export function getPeakActivity(heatmap) {
+  if (heatmap.max === 0) return null;
+
+  for (let row = 0; row < WEEKDAYS.length; row++) {
+    const hour = heatmap.cells[row].indexOf(heatmap.max);
+    if (hour !== -1) {
+      return { day: WEEKDAYS[row], hour, count: heatmap.max };
+    }
+  }
+  return null;
+}
+
+/**
+ * List the domains that appear in the log, most active first
+ * @param {Array} log - Activity events, oldest first
+ * @returns {Array} - [{ domain, count }]
+ */
+export function getActivityDomains(log) {
+  const counts = new Map();
+  log.forEach(event => {
+    if (!event.domain) return;
+    counts.set(event.domain, (counts.get(event.domain) || 0) + 1);
+  });
+
+  return Array.from(counts, ([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain));
+}
@@ -0,0 +1,77 @@
+// Duplicate Resolution
+// Decide which tab of a duplicate group survives when the others are closed,
+// and fold the closed tabs' history into the survivor's record.
+
+export const DUPLICATE_POLICIES = {
+  recent: 'Most recently used',
+  activations: 'Most activations',
+  pinned: 'Pinned tab',
+  focused: 'In the focused window',
+  oldest: 'Oldest tab'
+};
+
+export const DEFAULT_DUPLICATE_POLICY = 'recent';
+
+/**
+ * Get the survivor policy from the user's settings
+ * @param {Object} settings - User settings
+ * @returns {string} - A key of DUPLICATE_POLICIES
+ */
+export function getDuplicatePolicy(settings) {
+  return Object.hasOwn(DUPLICATE_POLICIES, settings?.duplicatePolicy ?? '')
+    ? settings.duplicatePolicy
+    : DEFAULT_DUPLICATE_POLICY;
+}
+
+/**
+ * Order a duplicate group so the tab to keep comes first.
+ * Ties (e.g. no pinned tab under the "pinned" policy) fall back to the most
+ * recently used tab, then the one with the most activations.
+ * @param {Array} tabs - Tabs of one duplicate group, in tab strip order
+ * @param {string} policy - A key of DUPLICATE_POLICIES
+ * @param {Object} options - { tabStats, focusedWindowId }
+ * @returns {Array} - The survivor, then the other tabs in their original order
+ */
+export function orderDuplicateGroup(tabs, policy, { tabStats = {}, focusedWindowId = null } = {}) {
+  const getRecord = tab => tabStats[tab.id] || tab;
+
+  const preferences = {
+    recent: tab => getRecord(tab).lastAccessedAt || 0,
+    activations: tab => getRecord(tab).activationCount || 0,
+    pinned: tab => (tab.pinned ? 1 : 0),
+    focused: tab => (tab.windowId === focusedWindowId ? 1 : 0),
+    oldest: tab => -(getRecord(tab).createdAt || Infinity)
+  };
+  const scores = [preferences[policy] || preferences.recent, preferences.recent, preferences.activations];
+
+  const survivor = tabs.reduce((best, tab) => {
+    for (const score of scores) {
+      const difference = score(tab) - score(best);
+      if (difference !== 0) return difference > 0 ? tab : best;
+    }
+    return best;
+  });
+
+  return [survivor, ...tabs.filter(tab => tab !== survivor)];
+}
+
+/**
+ * Fold the history of closed duplicates into the survivor's record: the
+ * earliest creation time, the latest access, and summed activations and time.
+ * @param {Object} survivor - Survivor's tab record
+ * @param {Array} closedRecords - Records of the duplicates being closed
+ * @returns {Object} - The fields to update on the survivor's record
+ */
+export function mergeDuplicateStats(survivor, closedRecords) {
+  return closedRecords.reduce((merged, record) => ({
+    createdAt: Math.min(merged.createdAt, record.createdAt || merged.createdAt),
+    lastAccessedAt: Math.max(merged.lastAccessedAt, record.lastAccessedAt || 0),
+    activationCount: merged.activationCount + (record.activationCount || 0),
+    activeTime: merged.activeTime + (record.activeTime || 0)
+  }), {
+    createdAt: survivor.createdAt,
+    lastAccessedAt: survivor.lastAccessedAt,
+    activationCount: survivor.activationCount || 0,
+    activeTime: survivor.activeTime || 0
+  });
+}
@@ -0,0 +1,117 @@
+// Tracking Exclusion Functions
+// Decide which tabs may be recorded, based on the user's settings
+
+/**
+ * Parse the exclusion list as entered in Settings (one pattern per line)
+ * @param {string} text - Raw textarea contents
+ * @returns {Array<string>} - Normalized, de-duplicated patterns
+ */
+export function parseExclusionList(text) {
+  const patterns = (text || '')
+    .split(/[\n,]/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+
+  return Array.from(new Set(patterns));
+}
+
+/**
+ * Check if a URL matches a single exclusion pattern
+ * Supported patterns:
+ *   example.com            - the host and all its subdomains
+ *   *.example.com          - same as above
+ *   intranet.corp/wiki/*   - host + path, with * wildcards
+ *   https://*.internal/*   - full URL, with * wildcards
+ * @param {string} url - URL to test
+ * @param {string} pattern - Exclusion pattern
+ * @returns {boolean} - True if the URL is excluded by the pattern
+ */
+export function matchesExclusionPattern(url, pattern) {
+  if (!url || !pattern) return false;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  if (pattern.includes('://')) {
+    return wildcardToRegExp(pattern).test(urlObj.href.toLowerCase());
+  }
+
+  if (pattern.includes('/')) {
+    const hostAndPath = `${urlObj.host}${urlObj.pathname}${urlObj.search}`.toLowerCase();
+    return wildcardToRegExp(pattern).test(hostAndPath);
+  }
+
+  const hostname = urlObj.hostname.toLowerCase();
+  const hostPattern = pattern.replace(/^\*\./, '');
+  if (hostPattern.includes('*')) {
+    return wildcardToRegExp(hostPattern).test(hostname);
+  }
+  return hostname === hostPattern || hostname.endsWith(`.${hostPattern}`);
+}
+
+/**
+ * Check if a URL matches any pattern in a list
+ * @param {string} url - URL to test
+ * @param {Array<string>} patterns - Patterns in the exclusion list format
+ * @returns {boolean} - True if at least one pattern matches
+ */
+export function matchesAnyPattern(url, patterns) {
+  return patterns.some(pattern => matchesExclusionPattern(url, pattern));
+}
+
+/**
+ * Check if a URL is excluded by the user's exclusion list
+ * @param {string} url - URL to test
+ * @param {Object} settings - User settings
+ * @returns {boolean} - True if the URL must not be recorded
+ */
+export function isExcludedUrl(url, settings) {
+  return matchesAnyPattern(url, settings?.excludedSites || []);
+}
+
+/**
+ * Check if a domain is excluded (for per-domain totals that have no full URL)
+ * @param {string} domain - Hostname
+ * @param {Object} settings - User settings
+ * @returns {boolean} - True if the domain must not be recorded
+ */
+export function isExcludedDomain(domain, settings) {
+  if (!domain || domain === 'unknown') return false;
+  return isExcludedUrl(`https://${domain}/`, settings);
+}
+
+/**
+ * Check if a tab is excluded by the user's incognito option or exclusion list
+ * @param {Object} tab - Chrome tab object (or stored tab record)
+ * @param {Object} settings - User settings
+ * @returns {boolean} - True if the tab must not be recorded
+ */
+export function isExcludedTab(tab, settings) {
+  if (tab.incognito && settings?.excludeIncognito !== false) return true;
+
+  const url = tab.url || tab.pendingUrl || '';
+  return isExcludedUrl(url, settings);
+}
+
+/**
+ * Check if a tab may be recorded right now
+ * @param {Object} tab - Chrome tab object
+ * @param {Object} settings - User settings
+ * @returns {boolean} - True if tracking is enabled and the tab is not excluded
+ */
+export function isTrackableTab(tab, settings) {
+  return settings?.trackingEnabled !== false && !isExcludedTab(tab, settings);
+}
+
+// Convert a pattern with * wildcards into an anchored regular expression
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
@@ -0,0 +1,203 @@
+// Exports
+// Formats open tabs and closed tab history as CSV for spreadsheets, Markdown
+// link lists for tickets and notes, and Netscape bookmark files that any
+// browser can import. Callers pass tab records merged with their statistics.
+
+import { extractDomain } from './utils.js';
+
+export const EXPORT_FORMATS = {
+  'tabs-csv': { label: 'Tab List (CSV)', extension: 'csv', type: 'text/csv' },
+  'history-csv': { label: 'Closed Tabs (CSV)', extension: 'csv', type: 'text/csv' },
+  'markdown': { label: 'Links (Markdown)', extension: 'md', type: 'text/markdown' },
+  'bookmarks': { label: 'Bookmarks (HTML)', extension: 'html', type: 'text/html' },
+  'json': { label: 'All Data (JSON)', extension: 'json', type: 'application/json' }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Columns of the Tab List export; rows are tabs merged with their records,
+// plus windowNumber, groupTitle and memoryMB
+const TAB_CSV_COLUMNS = [
+  { header: 'Title', value: tab => tab.title || '' },
+  { header: 'URL', value: tab => tab.url || '' },
+  { header: 'Domain', value: tab => tab.domain || extractDomain(tab.url) },
+  { header: 'Window', value: tab => tab.windowNumber ?? '' },
+  { header: 'Group', value: tab => tab.groupTitle || '' },
+  { header: 'Pinned', value: tab => (tab.pinned ? 'yes' : 'no') },
+  { header: 'Suspended', value: tab => (tab.discarded ? 'yes' : 'no') },
+  { header: 'Created', value: tab => formatDate(tab.createdAt) },
+  { header: 'Last Access', value: tab => formatDate(tab.lastAccessedAt) },
+  { header: 'Age (days)', value: (tab, now) => (tab.createdAt ? round((now - tab.createdAt) / DAY_MS) : '') },
+  { header: 'Activations', value: tab => tab.activationCount || 0 },
+  { header: 'Time Spent (min)', value: tab => round((tab.activeTime || 0) / MINUTE_MS) },
+  { header: 'Memory (MB)', value: tab => tab.memoryMB ?? '' }
+];
+
+const HISTORY_CSV_COLUMNS = [
+  { header: 'Title', value: record => record.title || '' },
+  { header: 'URL', value: record => record.url || '' },
+  { header: 'Domain', value: record => record.domain || extractDomain(record.url) },
+  { header: 'Opened', value: record => formatDate(record.createdAt) },
+  { header: 'Closed', value: record => formatDate(record.closedAt) },
+  { header: 'Lifetime (days)', value: record => round(Math.max(0, record.closedAt - record.createdAt) / DAY_MS) },
+  { header: 'Activations', value: record => record.activationCount || 0 },
+  { header: 'Time Spent (min)', value: record => round((record.activeTime || 0) / MINUTE_MS) },
+  { header: 'Close Reason', value: record => record.closedReason || 'manual' },
+  { header: 'Archived', value: record => (record.archived ? 'yes' : 'no') }
+];
+
+/**
+ * Number windows 1, 2, 3... in the order they first appear
+ * @param {Array} tabs - All open tabs, in window order
+ * @returns {Map} - windowId -> number
+ */
+export function getWindowNumbers(tabs) {
+  const numbers = new Map();
+  tabs.forEach(tab => {
+    if (!numbers.has(tab.windowId)) {
+      numbers.set(tab.windowId, numbers.size + 1);
+    }
+  });
+  return numbers;
+}
+
+/**
+ * Format open tabs as CSV, one row per tab in the given order
+ * @param {Array} tabs - Tabs merged with their records, windowNumber, groupTitle and memoryMB
+ * @returns {string} - CSV with a header row
+ */
+export function formatTabsCsv(tabs) {
+  return formatCsv(TAB_CSV_COLUMNS, tabs);
+}
+
+/**
+ * Format closed tab records as CSV, one row per record in the given order
+ * @param {Array} records - Closed tab records
+ * @returns {string} - CSV with a header row
+ */
+export function formatHistoryCsv(records) {
+  return formatCsv(HISTORY_CSV_COLUMNS, records);
+}
+
+/**
+ * Format tabs as a Markdown list of links under one heading per window or domain
+ * @param {Array} tabs - Tabs with title, url, windowId and domain
+ * @param {Object} options - { groupBy: "window" | "domain", windowNumbers: from getWindowNumbers() }
+ * @returns {string} - Markdown
+ */
+export function formatMarkdownLinks(tabs, { groupBy = 'window', windowNumbers = getWindowNumbers(tabs) } = {}) {
+  return groupExportTabs(tabs, groupBy, windowNumbers)
+    .map(section => [
+      `## ${section.label}`,
+      '',
+      ...section.tabs.map(tab => `- [${escapeMarkdown(tab.title || tab.url)}](${encodeMarkdownUrl(tab.url)})`)
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Format tabs as a Netscape bookmark file, with a folder per window or domain
+ * inside one folder for the export
+ * @param {Array} tabs - Tabs with title, url, windowId, domain and createdAt
+ * @param {Object} options - { groupBy: "window" | "domain", windowNumbers, title: name of the outer folder }
+ * @returns {string} - HTML that browsers import as bookmarks
+ */
+export function formatBookmarksHtml(tabs, { groupBy = 'window', windowNumbers = getWindowNumbers(tabs), title = 'Tab Stats Export' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const addDate = timestamp => (timestamp ? Math.floor(timestamp / 1000) : now);
+
+  const folders = groupExportTabs(tabs, groupBy, windowNumbers).map(section => [
+    `        <DT><H3 ADD_DATE="${now}">${escapeHtml(section.label)}</H3>`,
+    '        <DL><p>',
+    ...section.tabs.map(tab =>
+      `            <DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate(tab.createdAt)}">${escapeHtml(tab.title || tab.url)}</A>`
+    ),
+    '        </DL><p>'
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${now}">${escapeHtml(title)}</H3>`,
+    '    <DL><p>',
+    ...folders,
+    '    </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+// Sections of tabs with a URL, by window number or by domain (most tabs first)
+function groupExportTabs(tabs, groupBy, windowNumbers) {
+  const sections = new Map();
+
+  tabs.filter(tab => tab.url).forEach(tab => {
+    const key = groupBy === 'domain' ? (tab.domain || extractDomain(tab.url)) : tab.windowId;
+    if (!sections.has(key)) {
+      sections.set(key, {
+        label: groupBy === 'domain' ? key : `Window ${windowNumbers.get(key) ?? sections.size + 1}`,
+        order: groupBy === 'domain' ? 0 : windowNumbers.get(key) ?? Infinity,
+        tabs: []
+      });
+    }
+    sections.get(key).tabs.push(tab);
+  });
+
+  return Array.from(sections.values()).sort((a, b) =>
+    groupBy === 'domain'
+      ? b.tabs.length - a.tabs.length || a.label.localeCompare(b.label)
+      : a.order - b.order
+  );
+}
+
+function formatCsv(columns, rows) {
+  const now = Date.now();
+  const lines = [
+    columns.map(column => escapeCsv(column.header)),
+    ...rows.map(row => columns.map(column => escapeCsv(column.value(row, now))))
+  ];
+  // CRLF line endings, as spreadsheet applications expect
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+// Quote fields that need it. Text starting with =, +, - or @ is prefixed with
+// an apostrophe so spreadsheets don't run page titles as formulas.
+function escapeCsv(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\[\]])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+// Spaces and parentheses would end the link target early
+function encodeMarkdownUrl(url) {
+  return url.replace(/[ ()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
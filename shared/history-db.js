@@ -0,0 +1,196 @@
+// History Database
+// Closed tab history and the activity log grow with every tab event, so they
+// live in IndexedDB instead of chrome.storage.local: each event appends one
+// record rather than rewriting a whole key, and lookups by time or domain use
+// indexes. The service worker writes them; pages read them through
+// shared/storage.js.
+//   closedTabs: closed tab records, indexed by closedAt, domain + closedAt and url
+//   activityLog: { type, timestamp, domain }, indexed by timestamp and domain + timestamp
+// Keys are generated and kept out of the records, so records read the same as
+// they did in chrome.storage.local.
+
+const DB_NAME = 'tab-stats-history';
+const DB_VERSION = 1;
+
+export const HISTORY_STORES = {
+  closedTabs: { timeField: 'closedAt', indexes: { closedAt: 'closedAt', domain: ['domain', 'closedAt'], url: 'url' } },
+  activityLog: { timeField: 'timestamp', indexes: { timestamp: 'timestamp', domain: ['domain', 'timestamp'] } }
+};
+
+let database = null;
+
+/**
+ * Get records from a history store
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @param {Object} query - Optional { since, until, domain, url }; times are inclusive
+ * @returns {Promise<Array>} - Matching records, oldest first (in insertion order when looked up by url)
+ */
+export async function queryHistory(storeName, query = {}) {
+  return withStore(storeName, 'readonly', (store) => {
+    const { index, range, filter } = getQueryIndex(store, query);
+    const request = index.getAll(range);
+    return () => request.result.filter(filter);
+  });
+}
+
+/**
+ * Append records to a history store
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @param {Array} records - Records to add
+ * @returns {Promise<void>}
+ */
+export async function addHistory(storeName, records) {
+  if (records.length === 0) return;
+
+  return withStore(storeName, 'readwrite', (store) => {
+    records.forEach(record => store.add(record));
+  });
+}
+
+/**
+ * Delete the records of a history store a predicate picks. The predicate sees
+ * the records in the same order as queryHistory() returns them, so it may
+ * keep state (e.g. to drop all but the newest N).
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @param {Function} predicate - record => true to delete it
+ * @param {Object} query - Optional { since, until, domain, url, limit } to narrow the records looked at
+ * @returns {Promise<Array>} - The deleted records
+ */
+export async function deleteHistory(storeName, predicate, { limit = Infinity, ...query } = {}) {
+  return withStore(storeName, 'readwrite', (store) => {
+    const deleted = [];
+    const { index, range, filter } = getQueryIndex(store, query);
+    const request = index.openCursor(range);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || deleted.length >= limit) return;
+
+      if (filter(cursor.value) && predicate(cursor.value)) {
+        cursor.delete();
+        deleted.push(cursor.value);
+      }
+      cursor.continue();
+    };
+    return () => deleted;
+  });
+}
+
+/**
+ * Replace everything in a history store, in one transaction
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @param {Array} records - The new contents
+ * @returns {Promise<void>}
+ */
+export async function replaceHistory(storeName, records) {
+  return withStore(storeName, 'readwrite', (store) => {
+    store.clear();
+    records.forEach(record => store.add(record));
+  });
+}
+
+/**
+ * Delete every record of every history store
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  const db = await openDatabase();
+  const storeNames = Object.keys(HISTORY_STORES);
+  return runTransaction(db.transaction(storeNames, 'readwrite'), (transaction) => {
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+  });
+}
+
+/**
+ * Count the records of a history store
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @returns {Promise<number>}
+ */
+export async function countHistory(storeName) {
+  return withStore(storeName, 'readonly', (store) => {
+    const request = store.count();
+    return () => request.result;
+  });
+}
+
+/**
+ * Count the records of a history store and their size as JSON, comparable
+ * to chrome.storage.local.getBytesInUse()
+ * @param {string} storeName - "closedTabs" or "activityLog"
+ * @returns {Promise<Object>} - { count, bytes }
+ */
+export async function measureHistory(storeName) {
+  return withStore(storeName, 'readonly', (store) => {
+    const size = { count: 0, bytes: 0 };
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      size.count++;
+      size.bytes += JSON.stringify(cursor.value).length;
+      cursor.continue();
+    };
+    return () => size;
+  });
+}
+
+// Pick the index for a query; the filter covers what the index can't
+function getQueryIndex(store, { since = -Infinity, until = Infinity, domain, url }) {
+  const { timeField } = HISTORY_STORES[store.name];
+  const inTimeRange = record => record[timeField] >= since && record[timeField] <= until;
+
+  if (url !== undefined) {
+    return { index: store.index('url'), range: IDBKeyRange.only(url), filter: inTimeRange };
+  }
+  if (domain !== undefined) {
+    return { index: store.index('domain'), range: IDBKeyRange.bound([domain, since], [domain, until]), filter: () => true };
+  }
+  return { index: store.index(timeField), range: IDBKeyRange.bound(since, until), filter: () => true };
+}
+
+// Run work against one store. Work must issue its requests synchronously and
+// may return a function that reads the result once the transaction completes.
+async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+  return runTransaction(db.transaction(storeName, mode), transaction => work(transaction.objectStore(storeName)));
+}
+
+function runTransaction(transaction, work) {
+  return new Promise((resolve, reject) => {
+    const getResult = work(transaction);
+    transaction.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        Object.entries(HISTORY_STORES).forEach(([name, { indexes }]) => {
+          const store = request.result.createObjectStore(name, { autoIncrement: true });
+          Object.entries(indexes).forEach(([indexName, keyPath]) => store.createIndex(indexName, keyPath));
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          database = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        database = null;
+        reject(request.error);
+      };
+    });
+  }
+  return database;
+}
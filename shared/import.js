@@ -0,0 +1,375 @@
+// Import
+// Checks a file from "Export → All Data (JSON)" before anything is written,
+// previews what importing it would change, and combines it with the current
+// data. Files from older versions are migrated to the current schema before
+// they are checked. Open tab statistics are never imported: tab ids only mean
+// something in the browser session that recorded them.
+
+import { validateRule } from './rules.js';
+import { DUPLICATE_POLICIES } from './duplicates.js';
+import { SCHEMA_VERSION, SCHEMA_VERSION_KEY, getDefaultSettings, migrateData } from './schema.js';
+
+export const EXPORT_TYPE = 'tab-stats-export';
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const IMPORTED_KEYS = ['closedTabs', 'sessionStats', 'domainStats', 'settings'];
+const MAX_REPORTED_ERRORS = 10;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// What the settings page accepts; imported values outside it are skipped
+const SETTING_RANGES = {
+  dataRetentionDays: { min: 1, max: 365 },
+  inactivityThresholdDays: { min: 1, max: 90 },
+  autoCleanupGraceMinutes: { min: 0, max: 1440 }
+};
+const SETTING_CHOICES = {
+  autoCleanupAction: ['close', 'discard', 'archive'],
+  duplicatePolicy: Object.keys(DUPLICATE_POLICIES)
+};
+const PATTERN_SETTINGS = ['excludedSites', 'protectedDomains', 'duplicateIgnoredParams'];
+
+/**
+ * Parse, migrate and validate an exported file
+ * @param {string} json - File contents
+ * @returns {Object} - { data, errors, warnings }; data is null when the file can't be imported
+ */
+export function parseImportFile(json) {
+  let file;
+  try {
+    file = JSON.parse(json);
+  } catch (e) {
+    return { data: null, errors: ['The file is not valid JSON'], warnings: [] };
+  }
+
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    return { data: null, errors: ['The file does not contain a Tab Stats export'], warnings: [] };
+  }
+  if (file.type !== undefined && file.type !== EXPORT_TYPE) {
+    return { data: null, errors: [`The file is a "${file.type}" file, not a Tab Stats export`], warnings: [] };
+  }
+  if (!IMPORTED_KEYS.some(key => key in file)) {
+    return { data: null, errors: ['The file does not contain any Tab Stats data (closed tabs, session stats, time spent or settings)'], warnings: [] };
+  }
+
+  // Exports from before versioning have no schema version
+  const version = file[SCHEMA_VERSION_KEY] ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    return { data: null, errors: [`The file's schema version (${version}) is not valid`], warnings: [] };
+  }
+  if (version > SCHEMA_VERSION) {
+    return { data: null, errors: ['The file was exported by a newer version of Tab Stats; update the extension to import it'], warnings: [] };
+  }
+  migrateData(file, version);
+
+  const defaultSettings = getDefaultSettings();
+
+  const errors = [];
+  const warnings = [];
+
+  if ('closedTabs' in file) validateClosedTabs(file.closedTabs, errors);
+  if ('sessionStats' in file) validateSessionStats(file.sessionStats, errors);
+  if ('domainStats' in file) validateDomainStats(file.domainStats, errors);
+  if ('settings' in file) validateSettings(file.settings, defaultSettings, errors, warnings);
+
+  if ('tabStats' in file) {
+    warnings.push('Statistics of open tabs are not imported; they belong to the browser session that recorded them');
+  }
+
+  if (errors.length > 0) {
+    const extra = errors.length - MAX_REPORTED_ERRORS;
+    return {
+      data: null,
+      errors: [...errors.slice(0, MAX_REPORTED_ERRORS), ...(extra > 0 ? [`...and ${extra} more problems`] : [])],
+      warnings
+    };
+  }
+
+  const data = { exportedAt: Number.isFinite(file.exportedAt) ? file.exportedAt : null };
+  IMPORTED_KEYS.forEach(key => {
+    if (key in file) data[key] = file[key];
+  });
+  if (data.settings) {
+    data.settings = pickKnownSettings(data.settings, defaultSettings);
+  }
+  return { data, errors: [], warnings };
+}
+
+/**
+ * Combine imported data with the current data.
+ * "replace" takes each part the file contains as it is, with defaults for
+ * any settings it lacks. "merge" unions closed
+ * tab history, keeps the higher count of each day's session stats and each
+ * domain's time spent (so importing the same file twice changes nothing), and
+ * keeps whichever settings were saved last.
+ * @param {Object} current - { closedTabs, sessionStats, domainStats, settings } from storage
+ * @param {Object} imported - data from parseImportFile()
+ * @param {string} mode - "merge" or "replace"
+ * @returns {Object} - The storage keys to write
+ */
+export function combineImportData(current, imported, mode) {
+  const result = {};
+
+  if (imported.closedTabs) {
+    result.closedTabs = mode === 'replace'
+      ? [...imported.closedTabs]
+      : mergeClosedTabs(current.closedTabs || [], imported.closedTabs);
+  }
+
+  if (imported.sessionStats) {
+    result.sessionStats = mode === 'replace'
+      ? { daily: { ...imported.sessionStats.daily } }
+      : { daily: mergeDaily(current.sessionStats?.daily || {}, imported.sessionStats.daily) };
+  }
+
+  if (imported.domainStats) {
+    result.domainStats = mode === 'replace'
+      ? { ...imported.domainStats }
+      : mergeDomainStats(current.domainStats || {}, imported.domainStats);
+  }
+
+  // Settings the file lacks or skipped keep the default when replacing, and
+  // the current value when merging
+  if (imported.settings && mode === 'replace') {
+    result.settings = { ...getDefaultSettings(), ...imported.settings };
+  } else if (imported.settings && isNewerSettings(imported.settings, current.settings)) {
+    result.settings = { ...getDefaultSettings(), ...current.settings, ...imported.settings };
+  }
+
+  return result;
+}
+
+/**
+ * Describe what an import would change, for the preview
+ * @param {Object} current - { closedTabs, sessionStats, domainStats, settings } from storage
+ * @param {Object} imported - data from parseImportFile()
+ * @param {string} mode - "merge" or "replace"
+ * @returns {Array} - [{ label, current, file, after }] as display text
+ */
+export function previewImport(current, imported, mode) {
+  const combined = combineImportData(current, imported, mode);
+  const count = (value, unit) => `${value} ${unit}${value !== 1 ? 's' : ''}`;
+  const notInFile = 'Not in file';
+
+  const closedCount = (current.closedTabs || []).length;
+  const dayCount = Object.keys(current.sessionStats?.daily || {}).length;
+  const domainCount = Object.keys(current.domainStats || {}).length;
+
+  let settingsAfter = 'Unchanged';
+  if (!imported.settings) {
+    settingsAfter = notInFile;
+  } else if (combined.settings) {
+    settingsAfter = mode === 'replace' ? 'Replaced by the file' : 'The file\'s (saved more recently)';
+  } else {
+    settingsAfter = 'Yours (saved more recently)';
+  }
+
+  return [
+    {
+      label: 'Closed tabs',
+      current: count(closedCount, 'tab'),
+      file: imported.closedTabs ? count(imported.closedTabs.length, 'tab') : notInFile,
+      after: combined.closedTabs ? count(combined.closedTabs.length, 'tab') : 'Unchanged'
+    },
+    {
+      label: 'Opened/closed per day',
+      current: count(dayCount, 'day'),
+      file: imported.sessionStats ? count(Object.keys(imported.sessionStats.daily).length, 'day') : notInFile,
+      after: combined.sessionStats ? count(Object.keys(combined.sessionStats.daily).length, 'day') : 'Unchanged'
+    },
+    {
+      label: 'Time spent',
+      current: count(domainCount, 'domain'),
+      file: imported.domainStats ? count(Object.keys(imported.domainStats).length, 'domain') : notInFile,
+      after: combined.domainStats ? count(Object.keys(combined.domainStats).length, 'domain') : 'Unchanged'
+    },
+    {
+      label: 'Settings',
+      current: current.settings?.updatedAt ? `Saved ${new Date(current.settings.updatedAt).toLocaleString()}` : 'Saved',
+      file: imported.settings
+        ? (imported.settings.updatedAt ? `Saved ${new Date(imported.settings.updatedAt).toLocaleString()}` : 'Included')
+        : notInFile,
+      after: settingsAfter
+    }
+  ];
+}
+
+// Closed records have no id of their own; tab ids are reused across sessions
+function mergeClosedTabs(current, imported) {
+  const byKey = new Map();
+  [...current, ...imported].forEach(record => {
+    const key = `${record.id}-${record.url}-${record.closedAt}`;
+    if (!byKey.has(key)) byKey.set(key, record);
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.closedAt - b.closedAt);
+}
+
+function mergeDaily(current, imported) {
+  const daily = { ...current };
+  Object.entries(imported).forEach(([date, day]) => {
+    daily[date] = {
+      opened: Math.max(daily[date]?.opened || 0, day.opened || 0),
+      closed: Math.max(daily[date]?.closed || 0, day.closed || 0)
+    };
+  });
+  return daily;
+}
+
+function mergeDomainStats(current, imported) {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([domain, stats]) => {
+    merged[domain] = { ...merged[domain], activeTime: Math.max(merged[domain]?.activeTime || 0, stats.activeTime || 0) };
+  });
+  return merged;
+}
+
+// Settings without a save time (older exports) never win a merge
+function isNewerSettings(imported, current) {
+  return (imported.updatedAt || 0) > (current?.updatedAt || 0);
+}
+
+function validateClosedTabs(closedTabs, errors) {
+  if (!Array.isArray(closedTabs)) {
+    errors.push('Closed tabs must be a list');
+    return;
+  }
+
+  closedTabs.forEach((record, i) => {
+    const label = `Closed tab ${i + 1}`;
+    if (!record || typeof record !== 'object') {
+      errors.push(`${label} is not a tab record`);
+      return;
+    }
+    if (typeof record.url !== 'string') {
+      errors.push(`${label} has no URL`);
+    }
+    ['createdAt', 'closedAt'].forEach(field => {
+      if (!isTimestamp(record[field])) {
+        errors.push(`${label}: ${field} must be a timestamp`);
+      }
+    });
+    ['activationCount', 'activeTime'].forEach(field => {
+      if (record[field] !== undefined && !isCount(record[field])) {
+        errors.push(`${label}: ${field} must be a number of 0 or more`);
+      }
+    });
+  });
+}
+
+function validateSessionStats(sessionStats, errors) {
+  if (!sessionStats || typeof sessionStats !== 'object' || !sessionStats.daily || typeof sessionStats.daily !== 'object') {
+    errors.push('Session stats must contain daily counts');
+    return;
+  }
+
+  Object.entries(sessionStats.daily).forEach(([date, day]) => {
+    if (!DATE_KEY.test(date)) {
+      errors.push(`Session stats: "${date}" is not a date (YYYY-MM-DD)`);
+    } else if (!day || !isCount(day.opened ?? 0) || !isCount(day.closed ?? 0)) {
+      errors.push(`Session stats for ${date} must have opened and closed counts`);
+    }
+  });
+}
+
+function validateDomainStats(domainStats, errors) {
+  if (!domainStats || typeof domainStats !== 'object' || Array.isArray(domainStats)) {
+    errors.push('Time spent per domain must be an object');
+    return;
+  }
+
+  Object.entries(domainStats).forEach(([domain, stats]) => {
+    if (!stats || !isCount(stats.activeTime ?? 0)) {
+      errors.push(`Time spent on ${domain} must be a number of 0 or more`);
+    }
+  });
+}
+
+function validateSettings(settings, defaultSettings, errors, warnings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    errors.push('Settings must be an object');
+    return;
+  }
+
+  const unknown = Object.keys(settings).filter(key => !(key in defaultSettings) && key !== 'updatedAt');
+  if (unknown.length > 0) {
+    warnings.push(`Unknown settings are skipped: ${unknown.join(', ')}`);
+  }
+
+  const mistyped = new Set();
+  Object.entries(defaultSettings).forEach(([key, defaultValue]) => {
+    if (!(key in settings)) return;
+    const value = settings[key];
+    const expected = Array.isArray(defaultValue) ? 'array' : typeof defaultValue;
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== expected) {
+      errors.push(`Setting "${key}" must be ${expected === 'array' ? 'a list' : `a ${expected}`}`);
+      mistyped.add(key);
+    }
+  });
+
+  // Values of the right type the extension still can't use are dropped, so
+  // the current or default value applies instead
+  Object.entries(SETTING_RANGES).forEach(([key, { min, max }]) => {
+    if (!(key in settings) || mistyped.has(key)) return;
+    const value = settings[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      warnings.push(`Setting "${key}" must be a whole number from ${min} to ${max}; ${value} is skipped`);
+      delete settings[key];
+    }
+  });
+
+  Object.entries(SETTING_CHOICES).forEach(([key, choices]) => {
+    if (!(key in settings) || mistyped.has(key)) return;
+    if (!choices.includes(settings[key])) {
+      warnings.push(`Setting "${key}" must be one of ${choices.join(', ')}; "${settings[key]}" is skipped`);
+      delete settings[key];
+    }
+  });
+
+  PATTERN_SETTINGS.forEach(key => {
+    if (!Array.isArray(settings[key])) return;
+    settings[key] = dropInvalidEntries(settings[key], isPattern, key, warnings);
+  });
+
+  if (Array.isArray(settings.duplicateCanonicalRules)) {
+    settings.duplicateCanonicalRules = dropInvalidEntries(settings.duplicateCanonicalRules, isCanonicalRule, 'duplicateCanonicalRules', warnings);
+  }
+
+  if (Array.isArray(settings.recommendationRules)) {
+    settings.recommendationRules.forEach((rule, i) => {
+      validateRule(rule).forEach(error => errors.push(`Recommendation rule ${i + 1}: ${error}`));
+    });
+  }
+}
+
+function dropInvalidEntries(list, isValid, key, warnings) {
+  const valid = list.filter(isValid);
+  const skipped = list.length - valid.length;
+  if (skipped > 0) {
+    warnings.push(`Setting "${key}": ${skipped} invalid entr${skipped !== 1 ? 'ies are' : 'y is'} skipped`);
+  }
+  return valid;
+}
+
+function isPattern(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isCanonicalRule(rule) {
+  return Boolean(rule) && typeof rule === 'object' && isPattern(rule.pattern)
+    && (rule.keepParams === undefined || (Array.isArray(rule.keepParams) && rule.keepParams.every(isPattern)))
+    && (rule.keepFragment === undefined || typeof rule.keepFragment === 'boolean');
+}
+
+function pickKnownSettings(settings, defaultSettings) {
+  return Object.fromEntries(
+    Object.entries(settings).filter(([key]) => key in defaultSettings || key === 'updatedAt')
+  );
+}
+
+function isTimestamp(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function isCount(value) {
+  return Number.isFinite(value) && value >= 0;
+}
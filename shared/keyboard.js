@@ -72,6 +72,20 @@ export class KeyboardShortcuts {
     }));
   }
 
+  /**
+   * Get the extension's browser-wide shortcuts (manifest "commands"), with
+   * the keys the user assigned at chrome://extensions/shortcuts
+   */
+  async getBrowserCommands() {
+    const commands = await chrome.commands.getAll();
+    return commands
+      .filter(command => command.description)
+      .map(command => ({
+        key: command.shortcut || 'Not set',
+        description: command.description
+      }));
+  }
+
   /**
    * Format key combination for display
    */
@@ -78,6 +78,19 @@ function fallbackResult(tabId) {
   };
 }
 
+/**
+ * Build the result for a suspended (discarded) tab, which holds no page in memory
+ */
+function discardedResult(tabId) {
+  return {
+    tabId,
+    estimateMB: 0,
+    metrics: null,
+    source: 'discarded',
+    timestamp: Date.now()
+  };
+}
+
 /**
  * Estimate memory for a single tab.
  * Uses cache if available and not expired.
@@ -144,7 +157,9 @@ export async function estimateTabMemory(tabId, tabUrl) {
  */
 export async function estimateAllTabsMemory(tabs) {
   const results = await Promise.allSettled(
-    tabs.map(tab => estimateTabMemory(tab.id, tab.url))
+    tabs.map(tab => tab.discarded
+      ? discardedResult(tab.id)
+      : estimateTabMemory(tab.id, tab.url))
   );
 
   const estimates = {};
@@ -186,6 +201,23 @@ export function calculateMemoryStats(memoryEstimates) {
   };
 }
 
+/**
+ * Sum the memory freed by suspending tabs, from the estimates recorded
+ * just before each tab was discarded
+ */
+export function calculateSuspendedSavings(tabs, tabStats) {
+  let count = 0;
+  let freedMB = 0;
+
+  tabs.forEach(tab => {
+    if (!tab.discarded) return;
+    count++;
+    freedMB += tabStats[tab.id]?.suspendedMemoryMB || 0;
+  });
+
+  return { count, freedMB: Math.round(freedMB * 10) / 10 };
+}
+
 /**
  * Clear the memory cache (for manual refresh)
  */
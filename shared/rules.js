@@ -0,0 +1,306 @@
+// Recommendation Rules
+// A rule matches the tabs that meet all of its conditions. The built-in
+// recommendations and the rules users define in Settings are both written in
+// this format and evaluated by the same functions.
+
+import { matchesExclusionPattern } from './exclusions.js';
+import { findDuplicateGroups, getNormalizationOptions } from './urls.js';
+import { orderDuplicateGroup, getDuplicatePolicy } from './duplicates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_RULES = 50;
+const RULESET_VERSION = 1;
+
+// Fields a condition can test, with the operators that make sense for each
+export const RULE_FIELDS = {
+  domain: { label: 'Domain', type: 'text', operators: ['is', 'is-not'] },
+  url: { label: 'URL', type: 'text', operators: ['matches', 'contains', 'not-contains'] },
+  ageDays: { label: 'Age (days)', type: 'number', operators: ['gt', 'lt'] },
+  inactiveDays: { label: 'Inactive (days)', type: 'number', operators: ['gt', 'lt'] },
+  activations: { label: 'Activations', type: 'number', operators: ['gt', 'lt'] },
+  memoryMB: { label: 'Memory (MB)', type: 'number', operators: ['gt', 'lt'] },
+  pinned: { label: 'Pinned', type: 'boolean', operators: ['is'] },
+  audible: { label: 'Playing audio', type: 'boolean', operators: ['is'] },
+  windowTabCount: { label: 'Tabs in its window', type: 'number', operators: ['gt', 'lt'] },
+  duplicate: { label: 'Duplicate', type: 'boolean', operators: ['is'] }
+};
+
+export const RULE_OPERATORS = {
+  'is': 'is',
+  'is-not': 'is not',
+  'matches': 'matches',
+  'contains': 'contains',
+  'not-contains': 'does not contain',
+  'gt': 'more than',
+  'lt': 'less than'
+};
+
+export const RULE_ACTIONS = {
+  close: 'Close',
+  suspend: 'Suspend',
+  review: 'Review',
+  group: 'Group'
+};
+
+export const RULE_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Get the built-in recommendation rules for the current settings
+ * @param {Object} settings - User settings
+ * @returns {Array} - Rules for the "inactive" and "rarely_used" recommendations
+ */
+export function getBuiltInRules(settings) {
+  const days = settings.inactivityThresholdDays || 7;
+
+  return [
+    {
+      id: 'builtin-inactive',
+      type: 'inactive',
+      priority: 'high',
+      action: 'close',
+      message: `{count} {tabs} not accessed in ${days}+ days`,
+      conditions: [{ field: 'inactiveDays', operator: 'gt', value: days }]
+    },
+    {
+      id: 'builtin-rarely-used',
+      type: 'rarely_used',
+      priority: 'low',
+      action: 'review',
+      message: '{count} old {tabs} rarely accessed',
+      conditions: [
+        { field: 'ageDays', operator: 'gt', value: 7 },
+        { field: 'activations', operator: 'lt', value: 3 }
+      ]
+    }
+  ];
+}
+
+/**
+ * Gather what conditions need to know beyond the tab itself
+ * @param {Object} tabStats - Tab statistics from storage
+ * @param {Array} currentTabs - Currently open tabs
+ * @param {Object} settings - User settings (for duplicate detection)
+ * @param {Object} options - { memoryEstimates, focusedWindowId }, as for generateRecommendations()
+ * @returns {Object} - Evaluation context
+ */
+export function createRuleContext(tabStats, currentTabs, settings = {}, { memoryEstimates = {}, focusedWindowId = null } = {}) {
+  const windowTabCounts = new Map();
+  currentTabs.forEach(tab => {
+    windowTabCounts.set(tab.windowId, (windowTabCounts.get(tab.windowId) || 0) + 1);
+  });
+
+  // The tab each group keeps is the original, the others are duplicates
+  const duplicateIds = new Set();
+  const policy = getDuplicatePolicy(settings);
+  findDuplicateGroups(currentTabs, getNormalizationOptions(settings)).forEach(group => {
+    orderDuplicateGroup(group.tabs, policy, { tabStats, focusedWindowId })
+      .slice(1)
+      .forEach(tab => duplicateIds.add(tab.id));
+  });
+
+  return { now: Date.now(), tabStats, memoryEstimates, windowTabCounts, duplicateIds };
+}
+
+/**
+ * Find the open tabs matching a rule
+ * @param {Object} rule - Rule with conditions
+ * @param {Array} currentTabs - Currently open tabs
+ * @param {Object} context - From createRuleContext()
+ * @returns {Array} - Matching tabs merged with their statistics
+ */
+export function evaluateRule(rule, currentTabs, context) {
+  return currentTabs
+    .filter(tab => context.tabStats[tab.id] && matchesRule(tab, rule, context))
+    .map(tab => ({ ...tab, ...context.tabStats[tab.id] }));
+}
+
+/**
+ * Check if a tab meets all conditions of a rule
+ * @param {Object} tab - Chrome tab object
+ * @param {Object} rule - Rule with conditions
+ * @param {Object} context - From createRuleContext()
+ * @returns {boolean} - True if every condition matches
+ */
+export function matchesRule(tab, rule, context) {
+  return rule.conditions.every(condition => matchesCondition(tab, condition, context));
+}
+
+/**
+ * Build the recommendation message of a rule
+ * @param {Object} rule - Rule with an optional message template
+ * @param {number} count - Number of matching tabs
+ * @returns {string} - Message with {count} and {tabs} filled in
+ */
+export function formatRuleMessage(rule, count) {
+  const template = rule.message || `${rule.name}: {count} {tabs}`;
+  return template
+    .replace(/\{count\}/g, count)
+    .replace(/\{tabs\}/g, count === 1 ? 'tab' : 'tabs');
+}
+
+/**
+ * Describe a condition for display, e.g. "Inactive (days) more than 7"
+ * @param {Object} condition - { field, operator, value }
+ * @returns {string} - Readable condition
+ */
+export function describeCondition(condition) {
+  const field = RULE_FIELDS[condition.field];
+  const value = field?.type === 'boolean' ? (condition.value ? 'yes' : 'no') : condition.value;
+  return `${field?.label || condition.field} ${RULE_OPERATORS[condition.operator] || condition.operator} ${value}`;
+}
+
+/**
+ * Check a rule before it is saved or imported
+ * @param {Object} rule - Rule to check
+ * @returns {Array<string>} - Problems found (empty if the rule is valid)
+ */
+export function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('Rule needs a name');
+  }
+  if (!RULE_PRIORITIES.includes(rule.priority)) {
+    errors.push(`Priority must be one of: ${RULE_PRIORITIES.join(', ')}`);
+  }
+  if (!Object.hasOwn(RULE_ACTIONS, rule.action)) {
+    errors.push(`Action must be one of: ${Object.keys(RULE_ACTIONS).join(', ')}`);
+  }
+  if (rule.message !== undefined && typeof rule.message !== 'string') {
+    errors.push('Message must be text');
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push('Rule needs at least one condition');
+    return errors;
+  }
+
+  rule.conditions.forEach((condition, i) => {
+    const field = Object.hasOwn(RULE_FIELDS, condition?.field) ? RULE_FIELDS[condition.field] : null;
+    const label = `Condition ${i + 1}`;
+
+    if (!field) {
+      errors.push(`${label}: unknown field "${condition?.field}"`);
+      return;
+    }
+    if (!field.operators.includes(condition.operator)) {
+      errors.push(`${label}: ${field.label} can't use "${condition.operator}"`);
+    }
+    if (field.type === 'number' && (typeof condition.value !== 'number' || !Number.isFinite(condition.value) || condition.value < 0)) {
+      errors.push(`${label}: ${field.label} needs a number of 0 or more`);
+    }
+    if (field.type === 'text' && (typeof condition.value !== 'string' || !condition.value.trim())) {
+      errors.push(`${label}: ${field.label} needs a value`);
+    }
+    if (field.type === 'boolean' && typeof condition.value !== 'boolean') {
+      errors.push(`${label}: ${field.label} must be yes or no`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Serialize rules for sharing
+ * @param {Array} rules - User rules
+ * @returns {string} - JSON ruleset
+ */
+export function exportRuleset(rules) {
+  return JSON.stringify({
+    type: 'tab-stats-rules',
+    version: RULESET_VERSION,
+    rules: rules.map(({ id, ...rule }) => rule)
+  }, null, 2);
+}
+
+/**
+ * Parse and validate a shared ruleset. Imported rules get new ids.
+ * @param {string} json - JSON ruleset (or a plain array of rules)
+ * @returns {Object} - { rules, errors }; rules is empty when anything is invalid
+ */
+export function parseRuleset(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { rules: [], errors: ['File is not valid JSON'] };
+  }
+
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    return { rules: [], errors: ['File does not contain a list of rules'] };
+  }
+  if (rules.length > MAX_RULES) {
+    return { rules: [], errors: [`A ruleset can have at most ${MAX_RULES} rules`] };
+  }
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    validateRule(rule).forEach(error => {
+      errors.push(`Rule ${i + 1}${rule?.name ? ` ("${rule.name}")` : ''}: ${error}`);
+    });
+  });
+  if (errors.length > 0) {
+    return { rules: [], errors };
+  }
+
+  return {
+    rules: rules.map(rule => ({ ...rule, id: createRuleId(), enabled: rule.enabled !== false })),
+    errors: []
+  };
+}
+
+/**
+ * Create a unique id for a new rule
+ * @returns {string} - Rule id
+ */
+export function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Test one condition against a tab
+function matchesCondition(tab, condition, context) {
+  const record = context.tabStats[tab.id];
+  const { value } = condition;
+
+  switch (condition.field) {
+    case 'domain': {
+      const matches = matchesExclusionPattern(tab.url, String(value).toLowerCase());
+      return condition.operator === 'is-not' ? !matches : matches;
+    }
+    case 'url': {
+      const url = (tab.url || '').toLowerCase();
+      const text = String(value).toLowerCase();
+      if (condition.operator === 'matches') return matchesExclusionPattern(tab.url, text);
+      if (condition.operator === 'contains') return url.includes(text);
+      return !url.includes(text);
+    }
+    case 'ageDays':
+      return compareNumber((context.now - record.createdAt) / DAY_MS, condition);
+    case 'inactiveDays':
+      return compareNumber((context.now - record.lastAccessedAt) / DAY_MS, condition);
+    case 'activations':
+      return compareNumber(record.activationCount || 0, condition);
+    case 'memoryMB': {
+      // Without an estimate (e.g. in the service worker) the condition can't match
+      const estimate = context.memoryEstimates[tab.id];
+      return estimate ? compareNumber(estimate.estimateMB, condition) : false;
+    }
+    case 'pinned':
+      return !!tab.pinned === value;
+    case 'audible':
+      return !!tab.audible === value;
+    case 'windowTabCount':
+      return compareNumber(context.windowTabCounts.get(tab.windowId) || 0, condition);
+    case 'duplicate':
+      return context.duplicateIds.has(tab.id) === value;
+    default:
+      return false;
+  }
+}
+
+function compareNumber(actual, condition) {
+  return condition.operator === 'gt' ? actual > condition.value : actual < condition.value;
+}
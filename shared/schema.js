@@ -0,0 +1,129 @@
+// Storage Schema
+// The one place that knows what stored data looks like: the default settings,
+// the schema version kept in chrome.storage.local, and the migrations that
+// upgrade data written by older versions one step at a time. The service
+// worker runs them on install, update and startup; imports run them on the
+// file before it is validated.
+//
+// To change a stored shape, bump SCHEMA_VERSION and add a migration for it.
+// Migrations only see the keys that are present (an imported file may lack
+// some) and must be safe to run twice: if the worker stops half-way, they run
+// again on the next start. From version 3, closed tabs and the activity log
+// are kept in IndexedDB; changing them takes a storage step in
+// background/migrations.js.
+
+import { DEFAULT_IGNORED_PARAMS, DEFAULT_CANONICAL_RULES } from './urls.js';
+import { extractDomain } from './utils.js';
+
+export const SCHEMA_VERSION = 3;
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+const TAB_GROUP_NONE = -1;
+
+// Each migration upgrades data from `version - 1` to `version`
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in settings missing from older installs',
+    keys: ['settings'],
+    // Installs before 1.4 saved only the settings they knew about, and new
+    // installs got three of them from the service worker
+    migrate(data) {
+      if (isPlainObject(data.settings)) {
+        data.settings = { ...getDefaultSettings(), ...data.settings };
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Complete tab records from before focused time and tab groups',
+    keys: ['tabStats', 'closedTabs'],
+    migrate(data) {
+      if (isPlainObject(data.tabStats)) {
+        Object.values(data.tabStats).forEach(completeTabRecord);
+      }
+      if (Array.isArray(data.closedTabs)) {
+        data.closedTabs.forEach(completeTabRecord);
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Keep closed tabs and the activity log in IndexedDB',
+    // Their shape is unchanged: the service worker moves them out of
+    // chrome.storage.local (see background/migrations.js), and exported files
+    // keep closed tabs inline
+    keys: [],
+    migrate() {}
+  }
+];
+
+/**
+ * Get default settings
+ * @returns {Object} - Default settings object
+ */
+export function getDefaultSettings() {
+  return {
+    trackingEnabled: true,
+    excludeIncognito: true,
+    excludedSites: [],
+    dataRetentionDays: 30,
+    inactivityThresholdDays: 7,
+    showNotifications: true,
+    autoCloseEnabled: false,
+    autoCleanupAction: 'close',
+    autoCleanupGraceMinutes: 60,
+    autoCleanupDuplicates: true,
+    protectPinned: true,
+    protectAudible: true,
+    protectedDomains: [],
+    duplicateIgnoreFragment: true,
+    duplicateIgnoreTrailingSlash: true,
+    duplicateIgnoreProtocol: true,
+    duplicateIgnoreWww: true,
+    duplicateIgnoredParams: DEFAULT_IGNORED_PARAMS,
+    duplicateCanonicalRules: DEFAULT_CANONICAL_RULES,
+    duplicatePolicy: 'recent',
+    duplicateMergeStats: true,
+    recommendationRules: [],
+    syncSettings: false
+  };
+}
+
+/**
+ * Get the migrations needed to bring data up to the current schema
+ * @param {number} fromVersion - Schema version the data was written with (0 if none)
+ * @returns {Array} - Migrations in the order to apply them, as { version, description, keys, migrate }
+ */
+export function getPendingMigrations(fromVersion) {
+  return MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+/**
+ * Upgrade stored data to the current schema. Modifies data in place.
+ * @param {Object} data - Storage keys and their values; missing keys are left alone
+ * @param {number} fromVersion - Schema version the data was written with (0 if none)
+ * @returns {Array<number>} - Versions of the migrations that were applied
+ */
+export function migrateData(data, fromVersion) {
+  return getPendingMigrations(fromVersion).map(migration => {
+    migration.migrate(data);
+    return migration.version;
+  });
+}
+
+// Records from 1.2 and earlier have no group, incognito flag or focused time
+function completeTabRecord(record) {
+  if (!isPlainObject(record)) return;
+
+  if (record.domain === undefined && typeof record.url === 'string') {
+    record.domain = extractDomain(record.url);
+  }
+  record.groupId ??= TAB_GROUP_NONE;
+  record.incognito ??= false;
+  record.activeTime ??= 0;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
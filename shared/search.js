@@ -0,0 +1,165 @@
+// Tab Search
+// Fuzzy matching over open tabs, closed tab history and the domains they
+// belong to, for the address bar keyword (see background/omnibox.js). Tabs are
+// matched on the same title and URL the Tab List searches, but the characters
+// of a search term only need to appear in order ("gh iss" finds "GitHub Issues").
+
+import { extractDomain } from './utils.js';
+import { getDomainStats, getClosedTabDomains } from './stats.js';
+
+// Open tabs rank above a domain, and a domain above a closed tab, when they match equally well
+const TYPE_BONUS = { tab: 3, domain: 2, closed: 0 };
+const RESULT_KEYS = { tab: 'tab', closed: 'record', domain: 'domain' };
+const IGNORED_DOMAINS = ['unknown', 'newtab'];
+
+/**
+ * Match a search query against a piece of text. Every word of the query must
+ * be found, either as a whole or as characters in order.
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to search in
+ * @returns {Object|null} - { score, indices: matched character positions }, null if it doesn't match
+ */
+export function fuzzyMatch(query, text) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = (text || '').toLowerCase();
+  let score = 0;
+  const indices = new Set();
+
+  for (const term of terms) {
+    const match = matchTerm(term, haystack);
+    if (!match) return null;
+    score += match.score;
+    match.indices.forEach(index => indices.add(index));
+  }
+
+  return { score, indices: Array.from(indices).sort((a, b) => a - b) };
+}
+
+/**
+ * Search open tabs, closed tab history and domains
+ * @param {string} query - What the user typed
+ * @param {Object} data - { tabs: open tabs, tabStats, closedTabs: closed tab records }
+ * @param {Object} options - { limit }
+ * @returns {Array} - Best matches first:
+ *   { type: "tab", tab (merged with its statistics), field: "title" | "url", indices, score }
+ *   { type: "closed", record, field, indices, score }
+ *   { type: "domain", domain: { domain, openTabs, closedTabs, activations }, field: "domain", indices, score }
+ */
+export function searchTabs(query, { tabs = [], tabStats = {}, closedTabs = [] }, { limit = 8 } = {}) {
+  if (!(query || '').trim()) return [];
+
+  const results = [];
+  const add = (type, item, fields, recency) => {
+    const match = matchFields(query, fields);
+    if (match) {
+      results.push({ type, [RESULT_KEYS[type]]: item, ...match, score: match.score + TYPE_BONUS[type], recency });
+    }
+  };
+
+  const openUrls = new Set();
+  tabs.forEach(tab => {
+    const merged = { ...tab, ...tabStats[tab.id] };
+    openUrls.add(tab.url);
+    add('tab', merged, { title: tab.title, url: tab.url }, merged.lastAccessedAt || tab.lastAccessed || 0);
+  });
+
+  // The latest close of each page that isn't open again
+  const seenUrls = new Set(openUrls);
+  [...closedTabs]
+    .sort((a, b) => b.closedAt - a.closedAt)
+    .forEach(record => {
+      if (seenUrls.has(record.url)) return;
+      seenUrls.add(record.url);
+      add('closed', record, { title: record.title, url: record.url }, record.closedAt);
+    });
+
+  getSearchDomains(tabs, tabStats, closedTabs).forEach(domain => {
+    add('domain', domain, { domain: domain.domain }, domain.activations);
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || b.recency - a.recency)
+    .slice(0, limit)
+    .map(({ recency, ...result }) => result);
+}
+
+/**
+ * Get the domains of open tabs and closed tab history
+ * @param {Array} tabs - Open tabs
+ * @param {Object} tabStats - Tab statistics from storage
+ * @param {Array} closedTabs - Closed tab records
+ * @returns {Array} - [{ domain, openTabs, closedTabs, activations }], most open tabs first
+ */
+export function getSearchDomains(tabs, tabStats, closedTabs) {
+  const domains = new Map();
+
+  getDomainStats(tabStats, tabs).forEach(({ domain, count, totalActivations }) => {
+    domains.set(domain, { domain, openTabs: count, closedTabs: 0, activations: totalActivations });
+  });
+  getClosedTabDomains(closedTabs).forEach(({ domain, count }) => {
+    if (!domain) return;
+    if (!domains.has(domain)) {
+      domains.set(domain, { domain, openTabs: 0, closedTabs: 0, activations: 0 });
+    }
+    domains.get(domain).closedTabs = count;
+  });
+
+  return Array.from(domains.values())
+    .filter(({ domain }) => !IGNORED_DOMAINS.includes(domain))
+    .sort((a, b) => b.openTabs - a.openTabs || b.closedTabs - a.closedTabs);
+}
+
+/**
+ * Get the open tabs of a domain, most recently used first
+ * @param {string} domain - Domain, e.g. "github.com"
+ * @param {Array} tabs - Open tabs
+ * @param {Object} tabStats - Tab statistics from storage
+ * @returns {Array} - Tabs merged with their statistics
+ */
+export function getDomainTabs(domain, tabs, tabStats) {
+  return tabs
+    .map(tab => ({ ...tab, ...tabStats[tab.id] }))
+    .filter(tab => (tab.domain || extractDomain(tab.url)) === domain)
+    .sort((a, b) => (b.lastAccessedAt || b.lastAccessed || 0) - (a.lastAccessedAt || a.lastAccessed || 0));
+}
+
+// The best matching field; ties go to the first one (the title)
+function matchFields(query, fields) {
+  let best = null;
+  Object.entries(fields).forEach(([field, text]) => {
+    const match = fuzzyMatch(query, text);
+    if (match && (!best || match.score > best.score)) {
+      best = { field, ...match };
+    }
+  });
+  return best;
+}
+
+// A whole substring beats the same characters found apart; matches at the
+// start of a word beat those in the middle of one
+function matchTerm(term, text) {
+  const start = text.indexOf(term);
+  if (start !== -1) {
+    return {
+      score: term.length * 4 + (isWordStart(text, start) ? 4 : 0),
+      indices: Array.from({ length: term.length }, (_, i) => start + i)
+    };
+  }
+
+  let score = 0;
+  const indices = [];
+  let from = 0;
+  for (const char of term) {
+    const index = text.indexOf(char, from);
+    if (index === -1) return null;
+    const previous = indices[indices.length - 1];
+    score += 1 + (index === previous + 1 ? 2 : 0) + (isWordStart(text, index) ? 2 : 0);
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score, indices };
+}
+
+function isWordStart(text, index) {
+  return index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+}
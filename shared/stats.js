@@ -1,6 +1,9 @@
 // Statistics Calculation Functions
 
 import { extractDomain, groupBy } from './utils.js';
+import { findDuplicateGroups, getNormalizationOptions } from './urls.js';
+import { orderDuplicateGroup, getDuplicatePolicy } from './duplicates.js';
+import { getBuiltInRules, createRuleContext, evaluateRule, validateRule, formatRuleMessage } from './rules.js';
 
 /**
  * Calculate Tab Health Score (0-100) for a single tab
@@ -112,21 +115,42 @@ export function getTodaySessionStats(sessionStats) {
  * @returns {Array} - Array of { date, opened, closed, net } for last 7 days
  */
 export function getWeeklyTrend(sessionStats) {
+  return getActivityTrend(sessionStats, 7);
+}
+
+/**
+ * Get opened/closed counts for a time range: one point per day, or per week
+ * for ranges longer than 90 days
+ * @param {Object} sessionStats - Session stats from storage
+ * @param {number} days - Number of days to cover
+ * @returns {Array} - Array of { date, day, opened, closed, net }, oldest first
+ */
+export function getActivityTrend(sessionStats, days = 7) {
   const trend = [];
   const now = new Date();
+  const bucketDays = days > 90 ? 7 : 1;
   
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const key = date.toISOString().split('T')[0];
-    const dayStats = sessionStats?.daily?.[key] || { opened: 0, closed: 0 };
+  for (let i = days - 1; i >= 0; i -= bucketDays) {
+    const bucket = { opened: 0, closed: 0 };
+    const start = new Date(now);
+    start.setDate(start.getDate() - i);
+    
+    for (let j = 0; j < bucketDays && i - j >= 0; j++) {
+      const date = new Date(start);
+      date.setDate(date.getDate() + j);
+      const dayStats = sessionStats?.daily?.[date.toISOString().split('T')[0]];
+      bucket.opened += dayStats?.opened || 0;
+      bucket.closed += dayStats?.closed || 0;
+    }
     
     trend.push({
-      date: key,
-      day: date.toLocaleDateString('en-US', { weekday: 'short' }),
-      opened: dayStats.opened,
-      closed: dayStats.closed,
-      net: dayStats.opened - dayStats.closed
+      date: start.toISOString().split('T')[0],
+      day: days <= 7
+        ? start.toLocaleDateString('en-US', { weekday: 'short' })
+        : start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      opened: bucket.opened,
+      closed: bucket.closed,
+      net: bucket.opened - bucket.closed
     });
   }
   
@@ -137,9 +161,10 @@ export function getWeeklyTrend(sessionStats) {
  * Calculate comprehensive tab statistics
  * @param {Object} tabStats - Tab statistics from storage
  * @param {Array} currentTabs - Currently open tabs from chrome.tabs.query
+ * @param {Object} settings - User settings (for duplicate detection)
  * @returns {Object} - Calculated statistics
  */
-export function calculateStats(tabStats, currentTabs) {
+export function calculateStats(tabStats, currentTabs, settings = {}) {
   const now = Date.now();
   const stats = {
     totalTabs: currentTabs.length,
@@ -171,7 +196,7 @@ export function calculateStats(tabStats, currentTabs) {
   let totalActivations = 0;
   let analyzedCount = 0;
   
-  const urlMap = new Map(); // For detecting duplicates
+  const trackedTabs = []; // For detecting duplicates
   
   currentTabs.forEach(tab => {
     const tabStat = tabStats[tab.id];
@@ -208,12 +233,7 @@ export function calculateStats(tabStats, currentTabs) {
         stats.leastAccessedTab = { ...tab, ...tabStat };
       }
       
-      // Detect duplicates
-      if (urlMap.has(tab.url)) {
-        urlMap.get(tab.url).push({ ...tab, ...tabStat });
-      } else {
-        urlMap.set(tab.url, [{ ...tab, ...tabStat }]);
-      }
+      trackedTabs.push({ ...tab, ...tabStat });
     }
   });
   
@@ -223,16 +243,9 @@ export function calculateStats(tabStats, currentTabs) {
     stats.averageActivations = totalActivations / analyzedCount;
   }
   
-  // Find duplicates
-  urlMap.forEach((tabs, url) => {
-    if (tabs.length > 1 && url !== 'chrome://newtab/') {
-      stats.duplicateTabs.push({
-        url,
-        count: tabs.length,
-        tabs
-      });
-    }
-  });
+  // Find duplicates (url is the normalized URL the group matched on)
+  stats.duplicateTabs = findDuplicateGroups(trackedTabs, getNormalizationOptions(settings))
+    .map(({ url, tabs }) => ({ url, count: tabs.length, tabs }));
   
   return stats;
 }
@@ -312,13 +325,37 @@ export function getTabsByActivations(tabStats, currentTabs, ascending = false) {
   );
 }
 
+/**
+ * Get tabs sorted by focused time
+ * @param {Object} tabStats - Tab statistics from storage
+ * @param {Array} currentTabs - Currently open tabs
+ * @param {boolean} ascending - Sort ascending or descending
+ * @returns {Array} - Sorted array of tabs
+ */
+export function getTabsByActiveTime(tabStats, currentTabs, ascending = false) {
+  const tabsWithActiveTime = currentTabs
+    .map(tab => {
+      const tabStat = tabStats[tab.id];
+      return {
+        ...tab,
+        ...tabStat,
+        activeTime: tabStat?.activeTime || 0
+      };
+    });
+  
+  return tabsWithActiveTime.sort((a, b) => 
+    ascending ? a.activeTime - b.activeTime : b.activeTime - a.activeTime
+  );
+}
+
 /**
  * Get domain statistics
  * @param {Object} tabStats - Tab statistics from storage
  * @param {Array} currentTabs - Currently open tabs
+ * @param {Object} domainStats - Cumulative per-domain totals from storage
  * @returns {Array} - Array of domain statistics sorted by count
  */
-export function getDomainStats(tabStats, currentTabs) {
+export function getDomainStats(tabStats, currentTabs, domainStats = {}) {
   const domainMap = new Map();
   
   currentTabs.forEach(tab => {
@@ -330,7 +367,8 @@ export function getDomainStats(tabStats, currentTabs) {
         domain,
         count: 0,
         tabs: [],
-        totalActivations: 0
+        totalActivations: 0,
+        activeTime: domainStats[domain]?.activeTime || 0
       });
     }
     
@@ -345,45 +383,448 @@ export function getDomainStats(tabStats, currentTabs) {
 }
 
 /**
- * Generate smart recommendations for tabs to close
+ * Get statistics for each native tab group
  * @param {Object} tabStats - Tab statistics from storage
  * @param {Array} currentTabs - Currently open tabs
- * @param {Object} settings - User settings
- * @returns {Array} - Array of recommendations
+ * @param {Array} tabGroups - Groups from chrome.tabGroups.query()
+ * @param {Object} memoryEstimates - Memory estimates by tab id (may be empty)
+ * @param {number} inactivityDays - Days without access before a tab counts as inactive
+ * @returns {Array} - Array of group statistics sorted by count
  */
-export function generateRecommendations(tabStats, currentTabs, settings) {
-  const recommendations = [];
+export function getGroupStats(tabStats, currentTabs, tabGroups, memoryEstimates = {}, inactivityDays = 7) {
   const now = Date.now();
-  const inactivityThreshold = (settings.inactivityThresholdDays || 7) * 24 * 60 * 60 * 1000;
+  const threshold = inactivityDays * 24 * 60 * 60 * 1000;
+  const groupMap = new Map();
   
-  // Find inactive tabs
-  const inactiveTabs = getInactiveTabs(tabStats, currentTabs, settings.inactivityThresholdDays || 7);
-  if (inactiveTabs.length > 0) {
-    recommendations.push({
-      type: 'inactive',
-      priority: 'high',
-      message: `${inactiveTabs.length} tab${inactiveTabs.length > 1 ? 's' : ''} not accessed in ${settings.inactivityThresholdDays || 7}+ days`,
-      tabs: inactiveTabs,
-      action: 'close'
+  tabGroups.forEach(group => {
+    groupMap.set(group.id, {
+      groupId: group.id,
+      title: group.title || 'Untitled group',
+      color: group.color,
+      collapsed: group.collapsed,
+      windowId: group.windowId,
+      count: 0,
+      tabs: [],
+      averageHealth: 0,
+      memoryMB: 0,
+      inactiveCount: 0,
+      lastAccessedAt: null
     });
-  }
+  });
   
-  // Find duplicates
-  const urlMap = new Map();
+  const healthTotals = new Map();
   currentTabs.forEach(tab => {
-    if (!urlMap.has(tab.url)) {
-      urlMap.set(tab.url, []);
+    const groupData = groupMap.get(tab.groupId);
+    if (!groupData) return;
+    
+    const tabStat = tabStats[tab.id];
+    groupData.count++;
+    groupData.tabs.push({ ...tab, ...tabStat });
+    groupData.memoryMB += memoryEstimates[tab.id]?.estimateMB || 0;
+    
+    if (tabStat) {
+      healthTotals.set(tab.groupId, (healthTotals.get(tab.groupId) || 0) + calculateTabHealthScore(tabStat, now));
+      if (now - tabStat.lastAccessedAt > threshold) {
+        groupData.inactiveCount++;
+      }
+      groupData.lastAccessedAt = Math.max(groupData.lastAccessedAt || 0, tabStat.lastAccessedAt);
+    }
+  });
+  
+  return Array.from(groupMap.values())
+    .filter(groupData => groupData.count > 0)
+    .map(groupData => ({
+      ...groupData,
+      averageHealth: Math.round((healthTotals.get(groupData.groupId) || 0) / groupData.count),
+      memoryMB: Math.round(groupData.memoryMB * 10) / 10
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Filter closed tab history, newest first
+ * @param {Array} closedTabs - Closed tab records from storage
+ * @param {Object} filters - { query, since, domain }; empty values match everything
+ * @returns {Array} - Matching closed tab records
+ */
+export function filterClosedTabs(closedTabs, { query = '', since = 0, domain = '' } = {}) {
+  const search = query.toLowerCase();
+  
+  return closedTabs
+    .filter(record => {
+      if (since && record.closedAt < since) return false;
+      if (domain && record.domain !== domain) return false;
+      if (!search) return true;
+      
+      const title = (record.title || '').toLowerCase();
+      const url = (record.url || '').toLowerCase();
+      return title.includes(search) || url.includes(search);
+    })
+    .sort((a, b) => b.closedAt - a.closedAt);
+}
+
+/**
+ * Summarize how long closed tabs lived and how much they were used
+ * @param {Array} closedTabs - Closed tab records
+ * @returns {Object} - { count, averageLifetime, medianLifetime, averageActivations, neverRevisited }
+ */
+export function getClosedTabsSummary(closedTabs) {
+  if (closedTabs.length === 0) {
+    return { count: 0, averageLifetime: 0, medianLifetime: 0, averageActivations: 0, neverRevisited: 0 };
+  }
+  
+  const lifetimes = closedTabs
+    .map(record => Math.max(0, record.closedAt - record.createdAt))
+    .sort((a, b) => a - b);
+  const middle = Math.floor(lifetimes.length / 2);
+  const medianLifetime = lifetimes.length % 2
+    ? lifetimes[middle]
+    : (lifetimes[middle - 1] + lifetimes[middle]) / 2;
+  
+  const totalActivations = closedTabs.reduce((sum, record) => sum + (record.activationCount || 0), 0);
+  
+  return {
+    count: closedTabs.length,
+    averageLifetime: lifetimes.reduce((sum, lifetime) => sum + lifetime, 0) / lifetimes.length,
+    medianLifetime,
+    averageActivations: Math.round((totalActivations / closedTabs.length) * 10) / 10,
+    // Opened once and never switched back to
+    neverRevisited: closedTabs.filter(record => (record.activationCount || 0) <= 1).length
+  };
+}
+
+/**
+ * Get the domains in closed tab history, most frequent first
+ * @param {Array} closedTabs - Closed tab records
+ * @returns {Array} - Array of { domain, count }
+ */
+export function getClosedTabDomains(closedTabs) {
+  const groups = groupBy(closedTabs, 'domain');
+  
+  return Object.entries(groups)
+    .map(([domain, records]) => ({ domain, count: records.length }))
+    .sort((a, b) => b.count - a.count);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Histogram buckets for tab lifetimes
+export const LIFETIME_BUCKETS = [
+  { label: '< 1h', max: HOUR_MS },
+  { label: '1–6h', max: 6 * HOUR_MS },
+  { label: '6–24h', max: DAY_MS },
+  { label: '1–3d', max: 3 * DAY_MS },
+  { label: '3–7d', max: 7 * DAY_MS },
+  { label: '1–2w', max: 14 * DAY_MS },
+  { label: '2–4w', max: 28 * DAY_MS },
+  { label: '4w+', max: Infinity }
+];
+
+// Ages at which the survival curve is sampled
+const SURVIVAL_TIMES = [0, 1, 6, 12, 24, 48, 72, 120, 168, 240, 336, 504, 720, 1440, 2160].map(hours => hours * HOUR_MS);
+
+// Closes made by the browser rather than the user say nothing about how long
+// the user kept the tab, only that it lived at least that long
+const BROWSER_CLOSE_REASONS = ['session-ended', 'missing'];
+
+/**
+ * Analyze how long tabs stay open, from closed tab history.
+ * The histogram and percentiles cover tabs the user closed. The survival curve
+ * (share of tabs still open at each age) is a Kaplan-Meier estimate that also
+ * counts open tabs and tabs closed with the browser as still alive at their last known age.
+ * @param {Array} closedTabs - Closed tab records
+ * @param {Array} openRecords - Records of currently open tabs
+ * @param {Object} options - { thresholdDays: inactivity threshold to report the survival at, minDomainCount }
+ * @returns {Object} - { count, histogram: [{ label, count }], percentiles: { p25, p50, p75, p90 },
+ *   neverRevisitedShare, survival: [{ time, surviving }], medianSurvival, survivalAtThreshold,
+ *   byDomain: [{ domain, count, medianLifetime, p90Lifetime, neverRevisitedShare }] }
+ */
+export function getLifetimeAnalysis(closedTabs, openRecords = [], { thresholdDays = 7, minDomainCount = 3 } = {}) {
+  const now = Date.now();
+  const userClosed = closedTabs.filter(record =>
+    record.createdAt && record.closedAt && !BROWSER_CLOSE_REASONS.includes(record.closedReason)
+  );
+  const lifetimes = userClosed
+    .map(record => Math.max(0, record.closedAt - record.createdAt))
+    .sort((a, b) => a - b);
+  
+  const histogram = LIFETIME_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+  lifetimes.forEach(lifetime => {
+    histogram[LIFETIME_BUCKETS.findIndex(bucket => lifetime < bucket.max)].count++;
+  });
+  
+  // Ages at which tabs were last seen alive without being closed by the user
+  const censored = [
+    ...closedTabs
+      .filter(record => record.createdAt && record.closedAt && BROWSER_CLOSE_REASONS.includes(record.closedReason))
+      .map(record => Math.max(0, record.closedAt - record.createdAt)),
+    ...openRecords
+      .filter(record => record.createdAt)
+      .map(record => Math.max(0, now - record.createdAt))
+  ];
+  const steps = estimateSurvival(lifetimes, censored);
+  const medianStep = steps.find(step => step.surviving <= 0.5);
+  
+  return {
+    count: lifetimes.length,
+    histogram,
+    percentiles: {
+      p25: getPercentile(lifetimes, 25),
+      p50: getPercentile(lifetimes, 50),
+      p75: getPercentile(lifetimes, 75),
+      p90: getPercentile(lifetimes, 90)
+    },
+    neverRevisitedShare: getNeverRevisitedShare(userClosed),
+    survival: SURVIVAL_TIMES.map(time => ({ time, surviving: getSurvivalAt(steps, time) })),
+    medianSurvival: medianStep ? medianStep.time : null,
+    survivalAtThreshold: getSurvivalAt(steps, thresholdDays * DAY_MS),
+    byDomain: getLifetimesByDomain(userClosed, minDomainCount)
+  };
+}
+
+// Kaplan-Meier estimate: [{ time, surviving }] at each age where tabs were closed
+function estimateSurvival(lifetimes, censored) {
+  const observations = [
+    ...lifetimes.map(time => ({ time, closed: true })),
+    ...censored.map(time => ({ time, closed: false }))
+  ].sort((a, b) => a.time - b.time || b.closed - a.closed);
+  
+  const steps = [];
+  let atRisk = observations.length;
+  let surviving = 1;
+  let i = 0;
+  
+  while (i < observations.length) {
+    const time = observations[i].time;
+    let closedCount = 0;
+    let total = 0;
+    while (i < observations.length && observations[i].time === time) {
+      if (observations[i].closed) closedCount++;
+      total++;
+      i++;
+    }
+    
+    if (closedCount > 0) {
+      surviving *= 1 - closedCount / atRisk;
+      steps.push({ time, surviving });
     }
-    urlMap.get(tab.url).push({ ...tab, ...tabStats[tab.id] });
+    atRisk -= total;
+  }
+  
+  return steps;
+}
+
+function getSurvivalAt(steps, time) {
+  let surviving = 1;
+  for (const step of steps) {
+    if (step.time > time) break;
+    surviving = step.surviving;
+  }
+  return Math.round(surviving * 1000) / 1000;
+}
+
+// Linear interpolation between the closest ranks of a sorted array
+function getPercentile(sorted, percentile) {
+  if (sorted.length === 0) return 0;
+  
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Opened once and never switched back to
+function getNeverRevisitedShare(records) {
+  if (records.length === 0) return 0;
+  const count = records.filter(record => (record.activationCount || 0) <= 1).length;
+  return Math.round((count / records.length) * 1000) / 1000;
+}
+
+function getLifetimesByDomain(records, minCount) {
+  return Object.entries(groupBy(records, 'domain'))
+    .filter(([, domainRecords]) => domainRecords.length >= minCount)
+    .map(([domain, domainRecords]) => {
+      const lifetimes = domainRecords
+        .map(record => Math.max(0, record.closedAt - record.createdAt))
+        .sort((a, b) => a - b);
+      return {
+        domain,
+        count: domainRecords.length,
+        medianLifetime: getPercentile(lifetimes, 50),
+        p90Lifetime: getPercentile(lifetimes, 90),
+        neverRevisitedShare: getNeverRevisitedShare(domainRecords)
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build the detail view of one domain from its open tabs and closed tab history
+ * @param {string} domain - Domain to describe
+ * @param {Object} tabStats - Tab statistics from storage
+ * @param {Array} currentTabs - Currently open tabs
+ * @param {Array} closedTabs - Closed tab records from storage
+ * @param {Object} options - { domainStats, memoryEstimates, days: length of the open tabs timeline }
+ * @returns {Object} - { domain, openCount, tabs, activeTime, totalActivations, averageActivations,
+ *   closed: getClosedTabsSummary() of the domain, closedReasons: { reason: count }, memoryMB, memoryShare,
+ *   openOverTime: [{ date, count }], topUrls: [{ url, title, visits, activations, lastAccessedAt }] }
+ */
+export function getDomainDetail(domain, tabStats, currentTabs, closedTabs, { domainStats = {}, memoryEstimates = {}, days = 30 } = {}) {
+  const open = getDomainStats(tabStats, currentTabs, domainStats).find(entry => entry.domain === domain);
+  const openTabs = open?.tabs || [];
+  const closed = closedTabs.filter(record => record.domain === domain);
+  const records = [...openTabs, ...closed];
+  
+  const totalActivations = records.reduce((sum, record) => sum + (record.activationCount || 0), 0);
+  
+  // Manual closes carry no reason
+  const closedReasons = {};
+  closed.forEach(record => {
+    const reason = record.closedReason || 'manual';
+    closedReasons[reason] = (closedReasons[reason] || 0) + 1;
+  });
+  
+  const totalMemory = Object.values(memoryEstimates).reduce((sum, estimate) => sum + (estimate.estimateMB || 0), 0);
+  const memoryMB = openTabs.reduce((sum, tab) => sum + (memoryEstimates[tab.id]?.estimateMB || 0), 0);
+  
+  return {
+    domain,
+    openCount: openTabs.length,
+    tabs: openTabs,
+    activeTime: domainStats[domain]?.activeTime || 0,
+    totalActivations,
+    averageActivations: records.length ? Math.round((totalActivations / records.length) * 10) / 10 : 0,
+    closed: getClosedTabsSummary(closed),
+    closedReasons,
+    memoryMB: Math.round(memoryMB * 10) / 10,
+    memoryShare: totalMemory ? Math.round((memoryMB / totalMemory) * 1000) / 10 : 0,
+    openOverTime: getOpenCountOverTime(records, days),
+    topUrls: getMostRevisitedUrls(records)
+  };
+}
+
+// Open tabs at the end of each of the last `days` days (now, for today), from
+// creation and close times. Tabs closed before the history retention are missing.
+function getOpenCountOverTime(records, days) {
+  const points = [];
+  const now = Date.now();
+  
+  for (let i = days - 1; i >= 0; i--) {
+    const end = new Date(now);
+    end.setDate(end.getDate() - i);
+    if (i > 0) {
+      end.setHours(23, 59, 59, 999);
+    }
+    const time = end.getTime();
+    
+    points.push({
+      date: end.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      count: records.filter(record =>
+        record.createdAt <= time && (record.closedAt === undefined || record.closedAt > time)
+      ).length
+    });
+  }
+  
+  return points;
+}
+
+// Pages of a domain opened or switched to most often, open and closed tabs together
+function getMostRevisitedUrls(records, limit = 10) {
+  const urls = new Map();
+  
+  records.forEach(record => {
+    if (!record.url) return;
+    
+    const entry = urls.get(record.url) || { url: record.url, title: record.title, visits: 0, activations: 0, lastAccessedAt: 0 };
+    entry.visits++;
+    entry.activations += record.activationCount || 0;
+    if ((record.lastAccessedAt || 0) >= entry.lastAccessedAt) {
+      entry.lastAccessedAt = record.lastAccessedAt || 0;
+      entry.title = record.title || entry.title;
+    }
+    urls.set(record.url, entry);
+  });
+  
+  return Array.from(urls.values())
+    .sort((a, b) => b.activations - a.activations || b.visits - a.visits)
+    .slice(0, limit);
+}
+
+/**
+ * Compare a session snapshot with the tabs open now, by URL
+ * @param {Object} snapshot - Saved snapshot { windows: [{ tabs }] }
+ * @param {Array} currentTabs - Currently open tabs
+ * @returns {Object} - { added: open tabs not in the snapshot, removed: snapshot tabs not open, unchanged: count }
+ */
+export function compareSessionSnapshot(snapshot, currentTabs) {
+  // Count URLs so a URL saved twice but open once shows up as one removal
+  const remaining = new Map();
+  snapshot.windows.forEach(win => {
+    win.tabs.forEach(tab => {
+      remaining.set(tab.url, (remaining.get(tab.url) || 0) + 1);
+    });
   });
   
-  const duplicates = [];
-  urlMap.forEach((tabs, url) => {
-    if (tabs.length > 1 && url !== 'chrome://newtab/') {
-      duplicates.push({ url, tabs });
+  const added = [];
+  let unchanged = 0;
+  currentTabs.forEach(tab => {
+    const count = remaining.get(tab.url) || 0;
+    if (count > 0) {
+      remaining.set(tab.url, count - 1);
+      unchanged++;
+    } else {
+      added.push(tab);
     }
   });
   
+  const removed = [];
+  snapshot.windows.forEach(win => {
+    win.tabs.forEach(tab => {
+      const count = remaining.get(tab.url) || 0;
+      if (count > 0) {
+        remaining.set(tab.url, count - 1);
+        removed.push(tab);
+      }
+    });
+  });
+  
+  return { added, removed, unchanged };
+}
+
+/**
+ * Generate smart recommendations for tabs to close.
+ * The built-in "inactive" and "rarely used" recommendations and the user's own
+ * rules (settings.recommendationRules) are evaluated by the rules engine.
+ * @param {Object} tabStats - Tab statistics from storage
+ * @param {Array} currentTabs - Currently open tabs
+ * @param {Object} settings - User settings
+ * @param {Object} options - Optional { memoryEstimates } by tab id for memory conditions, and
+ *   { focusedWindowId } for the "focused window" duplicate policy
+ * @returns {Array} - Array of recommendations
+ */
+export function generateRecommendations(tabStats, currentTabs, settings, { memoryEstimates = {}, focusedWindowId = null } = {}) {
+  const recommendations = [];
+  const now = Date.now();
+  const context = createRuleContext(tabStats, currentTabs, settings, { memoryEstimates, focusedWindowId });
+  const [inactiveRule, rarelyUsedRule] = getBuiltInRules(settings);
+  
+  // Find inactive tabs, longest inactive first
+  const inactiveTabs = evaluateRule(inactiveRule, currentTabs, context)
+    .map(tab => ({ ...tab, inactiveDuration: now - tab.lastAccessedAt }))
+    .sort((a, b) => b.inactiveDuration - a.inactiveDuration);
+  if (inactiveTabs.length > 0) {
+    recommendations.push(createRuleRecommendation(inactiveRule, inactiveTabs));
+  }
+  
+  // Find duplicates, comparing normalized URLs. The tab to keep comes first.
+  const policy = getDuplicatePolicy(settings);
+  const duplicates = findDuplicateGroups(currentTabs, getNormalizationOptions(settings)).map(({ url, tabs }) => {
+    const ordered = orderDuplicateGroup(tabs, policy, { tabStats, focusedWindowId })
+      .map(tab => ({ ...tab, ...tabStats[tab.id] }));
+    return { url, survivor: ordered[0], tabs: ordered };
+  });
+  
   if (duplicates.length > 0) {
     const duplicateTabCount = duplicates.reduce((sum, dup) => sum + dup.tabs.length - 1, 0);
     recommendations.push({
@@ -396,32 +837,39 @@ export function generateRecommendations(tabStats, currentTabs, settings) {
   }
   
   // Find tabs that are rarely used but old
-  const rarelyUsedOldTabs = currentTabs
-    .filter(tab => {
-      const tabStat = tabStats[tab.id];
-      if (!tabStat) return false;
-      
-      const age = now - tabStat.createdAt;
-      const activationCount = tabStat.activationCount || 0;
-      
-      // Old (7+ days) but accessed less than 3 times
-      return age > 7 * 24 * 60 * 60 * 1000 && activationCount < 3;
-    })
-    .map(tab => ({ ...tab, ...tabStats[tab.id] }));
-  
+  const rarelyUsedOldTabs = evaluateRule(rarelyUsedRule, currentTabs, context);
   if (rarelyUsedOldTabs.length > 0) {
-    recommendations.push({
-      type: 'rarely_used',
-      priority: 'low',
-      message: `${rarelyUsedOldTabs.length} old tab${rarelyUsedOldTabs.length > 1 ? 's' : ''} rarely accessed`,
-      tabs: rarelyUsedOldTabs,
-      action: 'review'
-    });
+    recommendations.push(createRuleRecommendation(rarelyUsedRule, rarelyUsedOldTabs));
   }
   
+  // User-defined rules; invalid ones (e.g. edited by hand) are skipped
+  (settings.recommendationRules || [])
+    .filter(rule => rule.enabled !== false && validateRule(rule).length === 0)
+    .forEach(rule => {
+      const tabs = evaluateRule(rule, currentTabs, context);
+      if (tabs.length > 0) {
+        recommendations.push({
+          ...createRuleRecommendation(rule, tabs),
+          type: 'custom',
+          ruleId: rule.id,
+          name: rule.name
+        });
+      }
+    });
+  
   return recommendations.sort((a, b) => {
     const priorityOrder = { high: 0, medium: 1, low: 2 };
     return priorityOrder[a.priority] - priorityOrder[b.priority];
   });
 }
 
+// Turn the tabs matched by a rule into a recommendation
+function createRuleRecommendation(rule, tabs) {
+  return {
+    type: rule.type,
+    priority: rule.priority,
+    message: formatRuleMessage(rule, tabs.length),
+    tabs,
+    action: rule.action
+  };
+}
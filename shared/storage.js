@@ -1,20 +1,41 @@
 // Storage Helper Functions
+// The UI's access to stored data, whichever storage area it lives in: most
+// keys are in chrome.storage.local, closed tabs and the activity log in
+// IndexedDB (see shared/history-db.js).
+
+import { getDefaultSettings, SCHEMA_VERSION, SCHEMA_VERSION_KEY } from './schema.js';
+import { EXPORT_TYPE, parseImportFile, combineImportData, previewImport } from './import.js';
+import { queryHistory, replaceHistory, clearHistory, measureHistory } from './history-db.js';
+import { isExcludedTab } from './exclusions.js';
+
+// Categories shown in Settings → Storage, by storage key or history store
+const STORAGE_CATEGORIES = [
+  { label: 'Open tabs', keys: ['tabStats', 'mruStack'] },
+  { label: 'Closed tab history', history: 'closedTabs' },
+  { label: 'Activity log', history: 'activityLog' },
+  { label: 'Daily counts and time spent', keys: ['sessionStats', 'domainStats'] },
+  { label: 'Trends', keys: ['trendHistory'] },
+  { label: 'Saved sessions', keys: ['sessionSnapshots'] },
+  { label: 'Cleanup log and undo', keys: ['cleanupLog', 'undoStack'] },
+  { label: 'Settings and rules', keys: ['settings', 'settingsSyncState', SCHEMA_VERSION_KEY] }
+];
 
 /**
  * Get all tab statistics from storage
- * @returns {Promise<Object>} - Object containing tabStats, closedTabs, settings, and sessionStats
+ * @returns {Promise<Object>} - Object containing tabStats, closedTabs, settings, sessionStats, and domainStats
  */
 export async function getAllData() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['tabStats', 'closedTabs', 'settings', 'sessionStats'], (result) => {
-      resolve({
-        tabStats: result.tabStats || {},
-        closedTabs: result.closedTabs || [],
-        settings: result.settings || getDefaultSettings(),
-        sessionStats: result.sessionStats || { daily: {} }
-      });
-    });
+  const result = await new Promise((resolve) => {
+    chrome.storage.local.get(['tabStats', 'settings', 'sessionStats', 'domainStats'], resolve);
   });
+  
+  return {
+    tabStats: result.tabStats || {},
+    closedTabs: await queryHistory('closedTabs'),
+    settings: result.settings || getDefaultSettings(),
+    sessionStats: result.sessionStats || { daily: {} },
+    domainStats: result.domainStats || {}
+  };
 }
 
 /**
@@ -30,15 +51,12 @@ export async function getTabStats() {
 }
 
 /**
- * Get closed tabs history
- * @returns {Promise<Array>} - Array of closed tab objects
+ * Get closed tabs history, looked up by index when narrowed by time or domain
+ * @param {Object} query - Optional { since, until, domain }
+ * @returns {Promise<Array>} - Array of closed tab objects, oldest first
  */
-export async function getClosedTabs() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get('closedTabs', (result) => {
-      resolve(result.closedTabs || []);
-    });
-  });
+export async function getClosedTabs(query = {}) {
+  return queryHistory('closedTabs', query);
 }
 
 /**
@@ -54,72 +72,196 @@ export async function getSettings() {
 }
 
 /**
- * Update settings
+ * Get the automatic cleanup activity log
+ * @returns {Promise<Array>} - Array of { timestamp, action, tabs }, oldest first
+ */
+export async function getCleanupLog() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('cleanupLog', (result) => {
+      resolve(result.cleanupLog || []);
+    });
+  });
+}
+
+/**
+ * Get the close operations that can still be undone, oldest first
+ * @returns {Promise<Array>} - Array of { id, timestamp, source, tabs }
+ */
+export async function getUndoStack() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('undoStack', (result) => {
+      resolve(result.undoStack || []);
+    });
+  });
+}
+
+/**
+ * Get the hourly/daily trend snapshots recorded by the service worker
+ * @returns {Promise<Object>} - { hourly, daily } (see shared/trends.js)
+ */
+export async function getTrendHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('trendHistory', (result) => {
+      resolve(result.trendHistory || { hourly: [], daily: [] });
+    });
+  });
+}
+
+/**
+ * Get the tab switches, opens and closes of the last four weeks
+ * @param {Object} query - Optional { since, until, domain }
+ * @returns {Promise<Array>} - Array of { type, timestamp, domain }, oldest first (see shared/activity.js)
+ */
+export async function getActivityLog(query = {}) {
+  return queryHistory('activityLog', query);
+}
+
+/**
+ * Get saved session snapshots, oldest first
+ * @returns {Promise<Array>} - Array of { id, name, createdAt, windows: [{ tabs }] }
+ */
+export async function getSessionSnapshots() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('sessionSnapshots', (result) => {
+      resolve(result.sessionSnapshots || []);
+    });
+  });
+}
+
+/**
+ * Update settings. The save time is kept, so that importing a backup can tell
+ * which settings are newer.
  * @param {Object} newSettings - New settings to merge
  * @returns {Promise<void>}
  */
 export async function updateSettings(newSettings) {
   const currentSettings = await getSettings();
-  const updatedSettings = { ...currentSettings, ...newSettings };
+  const updatedSettings = { ...currentSettings, ...newSettings, updatedAt: Date.now() };
   
   return new Promise((resolve) => {
     chrome.storage.local.set({ settings: updatedSettings }, resolve);
   });
 }
 
+/**
+ * Get the state of settings sync on this device
+ * @returns {Promise<Object>} - { enabled, syncedAt, bytes, quota, error }; syncedAt is null until the first sync
+ */
+export async function getSyncStatus() {
+  const { settings, settingsSyncState: syncState = {} } = await new Promise((resolve) => {
+    chrome.storage.local.get(['settings', 'settingsSyncState'], resolve);
+  });
+  
+  return {
+    enabled: !!settings?.syncSettings,
+    syncedAt: syncState.syncedAt || null,
+    bytes: syncState.bytes || 0,
+    quota: chrome.storage.sync.QUOTA_BYTES,
+    error: syncState.error || null
+  };
+}
+
 /**
  * Clear all statistics (but keep settings)
  * @returns {Promise<void>}
  */
 export async function clearAllStats() {
+  await clearHistory();
   return new Promise((resolve) => {
     chrome.storage.local.set({ 
       tabStats: {},
-      closedTabs: []
+      domainStats: {},
+      undoStack: []
     }, resolve);
   });
 }
 
 /**
- * Get default settings
- * @returns {Object} - Default settings object
+ * Get how much space each category of data takes
+ * @returns {Promise<Object>} - { categories: [{ label, bytes, count? }], localBytes, localQuota, databaseBytes, databaseQuota }.
+ *   History sizes are measured as JSON, like chrome.storage.local; the database figures come from the browser.
  */
-function getDefaultSettings() {
+export async function getStorageUsage() {
+  const categories = await Promise.all(STORAGE_CATEGORIES.map(async (category) => {
+    if (category.history) {
+      const { count, bytes } = await measureHistory(category.history);
+      return { label: category.label, bytes, count };
+    }
+    return { label: category.label, bytes: await getBytesInUse(category.keys) };
+  }));
+  
+  const estimate = await navigator.storage.estimate();
   return {
-    trackingEnabled: true,
-    dataRetentionDays: 30,
-    inactivityThresholdDays: 7,
-    showNotifications: true,
-    autoCloseEnabled: false
+    categories,
+    localBytes: await getBytesInUse(null),
+    localQuota: chrome.storage.local.QUOTA_BYTES,
+    databaseBytes: estimate.usageDetails?.indexedDB ?? estimate.usage,
+    databaseQuota: estimate.quota
   };
 }
 
+function getBytesInUse(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.getBytesInUse(keys, resolve);
+  });
+}
+
 /**
  * Export data as JSON
  * @returns {Promise<string>} - JSON string of all data
  */
 export async function exportData() {
   const data = await getAllData();
-  return JSON.stringify(data, null, 2);
+  return JSON.stringify({ type: EXPORT_TYPE, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, exportedAt: Date.now(), ...data }, null, 2);
 }
 
 /**
- * Import data from JSON
- * @param {string} jsonData - JSON string to import
- * @returns {Promise<boolean>} - Success status
+ * Check an exported file and preview what importing it would change.
+ * Files from older versions are migrated to the current schema first.
+ * @param {string} jsonData - File contents
+ * @returns {Promise<Object>} - { errors, warnings, preview: { merge, replace } }; preview is null when errors
  */
-export async function importData(jsonData) {
-  try {
-    const data = JSON.parse(jsonData);
-    
-    return new Promise((resolve) => {
-      chrome.storage.local.set(data, () => {
-        resolve(true);
-      });
-    });
-  } catch (e) {
-    console.error('Failed to import data:', e);
-    return false;
+export async function previewImportData(jsonData) {
+  const { data, errors, warnings } = parseImportFile(jsonData);
+  if (!data) {
+    return { errors, warnings, preview: null };
   }
+  
+  const current = await getAllData();
+  return {
+    errors,
+    warnings,
+    preview: {
+      merge: previewImport(current, data, 'merge'),
+      replace: previewImport(current, data, 'replace')
+    }
+  };
+}
+
+/**
+ * Import an exported file, after validating it
+ * @param {string} jsonData - File contents
+ * @param {string} mode - "merge" into the current data or "replace" it
+ * @returns {Promise<Object>} - { success, errors }
+ */
+export async function importData(jsonData, mode = 'merge') {
+  const { data, errors } = parseImportFile(jsonData);
+  if (!data) {
+    return { success: false, errors };
+  }
+  
+  const current = await getAllData();
+  const { closedTabs, ...updates } = combineImportData(current, data, mode);
+  if (closedTabs) {
+    // Pages excluded by the settings in effect after the import are never stored
+    const settings = updates.settings || current.settings;
+    await replaceHistory('closedTabs', closedTabs.filter(record => !isExcludedTab(record, settings)));
+  }
+  
+  return new Promise((resolve) => {
+    chrome.storage.local.set(updates, () => {
+      resolve({ success: true, errors: [] });
+    });
+  });
 }
 
@@ -0,0 +1,201 @@
+/**
+ * Quick Switcher
+ * A list of open tabs, most recently used first, to jump back to one with the
+ * keyboard. Shown over the side panel and in its own popup window
+ * (switcher/switcher.html); the service worker keeps the order (see
+ * background/mru.js). Typing filters the list with the address bar keyword's
+ * fuzzy matching.
+ */
+
+import { fuzzyMatch } from './search.js';
+import { formatTimestamp, getFaviconUrl } from './utils.js';
+
+export class QuickSwitcher {
+  /**
+   * @param {HTMLElement} root - Element to render into
+   * @param {Object} options - { onSwitch: called once switched, onClose: called on Escape }
+   */
+  constructor(root, { onSwitch = () => {}, onClose = () => {} } = {}) {
+    this.root = root;
+    this.onSwitch = onSwitch;
+    this.onClose = onClose;
+    this.tabs = [];
+    this.matches = [];
+    this.selected = 0;
+    this.init();
+  }
+
+  init() {
+    this.root.classList.add('switcher');
+    this.root.innerHTML = `
+      <input class="switcher-search" type="search" placeholder="Switch to a tab…" aria-label="Filter tabs" autocomplete="off">
+      <ul class="switcher-list" role="listbox" aria-label="Recently used tabs"></ul>
+      <div class="switcher-preview" aria-live="polite"></div>
+      <div class="switcher-hint">↑↓ move · Enter switch · Esc close</div>
+    `;
+    this.input = this.root.querySelector('.switcher-search');
+    this.list = this.root.querySelector('.switcher-list');
+    this.preview = this.root.querySelector('.switcher-preview');
+
+    this.input.addEventListener('input', () => this.filter());
+    this.root.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.switcher-item');
+      if (item) {
+        this.select(Number(item.dataset.index));
+        this.switchToSelected();
+      }
+    });
+  }
+
+  /**
+   * Load the recently used tabs and focus the filter. The first tab is the
+   * one in use, so the one used before it starts selected.
+   */
+  async open() {
+    this.tabs = (await chrome.runtime.sendMessage({ action: 'getRecentTabs' })) || [];
+    this.input.value = '';
+    this.filter();
+    this.select(this.matches.length > 1 ? 1 : 0);
+    this.input.focus();
+  }
+
+  /**
+   * Move the selection, wrapping around at either end
+   * @param {number} delta - Rows to move (negative moves up)
+   */
+  moveSelection(delta) {
+    if (this.matches.length === 0) return;
+    this.select((this.selected + delta + this.matches.length) % this.matches.length);
+  }
+
+  /**
+   * Switch to the selected tab. A tab that closed in the meantime is taken
+   * off the list instead.
+   */
+  async switchToSelected() {
+    const tab = this.matches[this.selected];
+    if (!tab) return;
+
+    const result = await chrome.runtime.sendMessage({ action: 'switchToTab', tabId: tab.id });
+    if (result?.success) {
+      this.onSwitch(tab);
+      return;
+    }
+
+    this.tabs = this.tabs.filter(t => t.id !== tab.id);
+    this.filter();
+    this.preview.textContent = `"${tab.title || 'Untitled'}" was closed`;
+  }
+
+  handleKeyDown(e) {
+    const key = e.key;
+    if (key === 'ArrowDown' || (key === 'Tab' && !e.shiftKey) || (e.ctrlKey && key === 'n')) {
+      this.moveSelection(1);
+    } else if (key === 'ArrowUp' || (key === 'Tab' && e.shiftKey) || (e.ctrlKey && key === 'p')) {
+      this.moveSelection(-1);
+    } else if (key === 'Enter') {
+      this.switchToSelected();
+    } else if (key === 'Escape') {
+      this.onClose();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  // Best matches first; without a query, most recently used first
+  filter() {
+    const query = this.input.value.trim();
+    if (!query) {
+      this.matches = [...this.tabs];
+    } else {
+      this.matches = this.tabs
+        .map(tab => ({ tab, score: Math.max(...[tab.title, tab.domain, tab.url].map(text => fuzzyMatch(query, text)?.score ?? -1)) }))
+        .filter(({ score }) => score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ tab }) => tab);
+    }
+    this.render();
+    this.select(0);
+  }
+
+  render() {
+    if (this.matches.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'switcher-empty';
+      empty.textContent = this.tabs.length === 0 ? 'No tabs open' : 'No tabs match';
+      this.list.replaceChildren(empty);
+      return;
+    }
+
+    this.list.replaceChildren(...this.matches.map((tab, index) => {
+      const item = document.createElement('li');
+      item.className = 'switcher-item';
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+
+      const favicon = document.createElement('img');
+      favicon.className = 'switcher-favicon';
+      favicon.src = getFaviconUrl(tab.url);
+      favicon.alt = '';
+
+      const info = document.createElement('div');
+      info.className = 'switcher-info';
+      const title = document.createElement('div');
+      title.className = 'switcher-title';
+      title.textContent = tab.title || 'Untitled';
+      const meta = document.createElement('div');
+      meta.className = 'switcher-meta';
+      meta.textContent = `${tab.domain} · ${this.describeLastUse(tab)}`;
+      info.append(title, meta);
+
+      item.append(favicon, info);
+      return item;
+    }));
+  }
+
+  select(index) {
+    this.selected = Math.max(0, Math.min(index, this.matches.length - 1));
+    this.list.querySelectorAll('.switcher-item').forEach(item => {
+      const isSelected = Number(item.dataset.index) === this.selected;
+      item.classList.toggle('selected', isSelected);
+      item.setAttribute('aria-selected', String(isSelected));
+      if (isSelected) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+    this.renderPreview();
+  }
+
+  renderPreview() {
+    const tab = this.matches[this.selected];
+    if (!tab) {
+      this.preview.replaceChildren();
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'switcher-preview-title';
+    title.textContent = tab.title || 'Untitled';
+    const url = document.createElement('div');
+    url.className = 'switcher-preview-url';
+    url.textContent = tab.url || '';
+    const details = document.createElement('div');
+    details.className = 'switcher-preview-meta';
+    const activations = tab.activationCount || 0;
+    details.textContent = [
+      tab.domain,
+      `Last used: ${this.describeLastUse(tab)}`,
+      `${activations} activation${activations !== 1 ? 's' : ''}`,
+      tab.discarded ? 'Suspended' : ''
+    ].filter(Boolean).join(' · ');
+
+    this.preview.replaceChildren(title, url, details);
+  }
+
+  describeLastUse(tab) {
+    if (tab === this.tabs[0]) return 'Now';
+    return tab.lastAccessedAt ? formatTimestamp(tab.lastAccessedAt) : 'Unknown';
+  }
+}
@@ -0,0 +1,106 @@
+// Settings Sync
+// Which settings follow the user across devices through chrome.storage.sync,
+// how they are split to fit its per-item quota, and how edits made on two
+// devices are reconciled. The service worker does the syncing (see
+// background/settings-sync.js); tab statistics are never synced.
+
+// Settings that describe this device rather than the user's preferences
+export const LOCAL_SETTINGS = ['syncSettings', 'trackingEnabled', 'autoCloseEnabled', 'updatedAt'];
+
+/**
+ * Check whether a setting is synced when sync is on
+ * @param {string} key - Settings key
+ * @returns {boolean}
+ */
+export function isSyncedSetting(key) {
+  return !LOCAL_SETTINGS.includes(key);
+}
+
+/**
+ * Get the synced part of the settings
+ * @param {Object} settings - Settings object
+ * @returns {Object} - Settings without the device-local ones
+ */
+export function pickSyncedSettings(settings) {
+  return Object.fromEntries(Object.entries(settings || {}).filter(([key]) => isSyncedSetting(key)));
+}
+
+/**
+ * Reconcile the synced settings of this device with those in sync storage.
+ * A setting changed on one side since the last sync (base) takes that side's
+ * value; changed on both, the side saved last wins. Without a base (this
+ * device never synced), sync storage wins so a new device joins the existing
+ * settings instead of overwriting them with its defaults.
+ * @param {Object} options - { local, remote, base, localUpdatedAt, remoteUpdatedAt }; remote is null when nothing is synced yet
+ * @returns {Object} - The synced settings both sides should have
+ */
+export function mergeSyncedSettings({ local, remote, base = null, localUpdatedAt = 0, remoteUpdatedAt = 0 }) {
+  if (!remote) return { ...local };
+  if (!base) return { ...local, ...remote };
+
+  const merged = {};
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  keys.forEach(key => {
+    const localChanged = !isSameValue(local[key], base[key]);
+    const remoteChanged = !isSameValue(remote[key], base[key]);
+
+    let value = local[key];
+    if (remoteChanged && (!localChanged || remoteUpdatedAt > localUpdatedAt)) {
+      value = remote[key];
+    }
+    if (value !== undefined) merged[key] = value;
+  });
+  return merged;
+}
+
+/**
+ * Split text into chunks that each fit a sync storage item
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Largest size of a chunk once stored (as a JSON string, in UTF-8)
+ * @returns {Array<string>} - Chunks to join back in order
+ */
+export function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    let size = getStoredSize(text.slice(start, end));
+    // Multi-byte and escaped characters take more than one byte: shrink
+    // the chunk in proportion until it fits
+    while (size > maxBytes && end - start > 1) {
+      end = start + Math.max(1, Math.floor((end - start) * (maxBytes / size)) - 1);
+      size = getStoredSize(text.slice(start, end));
+    }
+    // Never split a surrogate pair: half of one can't be stored as UTF-8
+    if (end < text.length && isHighSurrogate(text.charCodeAt(end - 1))) {
+      end += end - start > 1 ? -1 : 1;
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * Size of a value as sync storage counts it: its JSON in UTF-8
+ * @param {*} value - Value to store
+ * @returns {number} - Bytes
+ */
+export function getStoredSize(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Compare two setting values
+ * @param {*} a - Setting value
+ * @param {*} b - Setting value
+ * @returns {boolean}
+ */
+export function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isHighSurrogate(code) {
+  return code >= 0xD800 && code <= 0xDBFF;
+}
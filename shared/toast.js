@@ -0,0 +1,52 @@
+/**
+ * Toast Notifications
+ * Shows a short message at the bottom of the page, with an optional action
+ */
+
+const DEFAULT_DURATION = 8000;
+
+let toastElement = null;
+let hideTimer = null;
+
+/**
+ * Show a toast, replacing any toast still visible
+ * @param {string} message - Text to show
+ * @param {Object} options - { actionLabel, onAction, duration }
+ */
+export function showToast(message, { actionLabel = '', onAction = null, duration = DEFAULT_DURATION } = {}) {
+  if (!toastElement) {
+    toastElement = document.createElement('div');
+    toastElement.className = 'toast';
+    toastElement.setAttribute('role', 'status');
+    document.body.appendChild(toastElement);
+  }
+
+  toastElement.innerHTML = '';
+  const text = document.createElement('span');
+  text.className = 'toast-message';
+  text.textContent = message;
+  toastElement.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      hideToast();
+      onAction();
+    });
+    toastElement.appendChild(button);
+  }
+
+  toastElement.classList.add('visible');
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(hideToast, duration);
+}
+
+/**
+ * Hide the current toast
+ */
+export function hideToast() {
+  clearTimeout(hideTimer);
+  toastElement?.classList.remove('visible');
+}
@@ -0,0 +1,153 @@
+// Long-term Trends
+// The service worker samples the open tabs every hour. Samples are kept hourly
+// for a week, then as daily averages, then as weekly averages, for up to a year:
+//   trendHistory: {
+//     hourly: [{ timestamp, tabs, windows, averageHealth, duplicates, memoryMB }],
+//     daily: [{ date: "2024-01-15", period: "day" | "week", samples, maxTabs, ...averages }]
+//   }
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_RETENTION_DAYS = 7;
+const DAILY_RETENTION_DAYS = 90;
+const MAX_RETENTION_DAYS = 365;
+
+export const TREND_RANGES = [7, 30, 90, 365];
+export const TREND_METRICS = ['tabs', 'windows', 'averageHealth', 'duplicates', 'memoryMB'];
+
+/**
+ * Add a sample to the history, replacing an earlier sample from the same hour,
+ * and downsample what has aged out of each resolution
+ * @param {Object} history - trendHistory from storage (modified in place)
+ * @param {Object} sample - { timestamp, tabs, windows, averageHealth, duplicates, memoryMB }
+ * @returns {Object} - The same history object
+ */
+export function addTrendSample(history, sample) {
+  const hour = Math.floor(sample.timestamp / HOUR_MS);
+  const last = history.hourly[history.hourly.length - 1];
+  if (last && Math.floor(last.timestamp / HOUR_MS) === hour) {
+    history.hourly[history.hourly.length - 1] = sample;
+  } else {
+    history.hourly.push(sample);
+  }
+
+  // Daily entries are rebuilt from that day's hourly samples while they are kept
+  const date = toDateKey(sample.timestamp);
+  const daySamples = history.hourly.filter(entry => toDateKey(entry.timestamp) === date);
+  const daily = {
+    date,
+    period: 'day',
+    ...averageEntries(daySamples.map(entry => ({ ...entry, samples: 1, maxTabs: entry.tabs })))
+  };
+  const index = history.daily.findIndex(entry => entry.period === 'day' && entry.date === date);
+  if (index === -1) {
+    history.daily.push(daily);
+  } else {
+    history.daily[index] = daily;
+  }
+
+  return compactTrendHistory(history, sample.timestamp);
+}
+
+/**
+ * Drop hourly samples older than a week, merge days older than 90 days into
+ * weeks, and forget everything older than a year
+ * @param {Object} history - trendHistory from storage (modified in place)
+ * @param {number} now - Current timestamp
+ * @returns {Object} - The same history object
+ */
+export function compactTrendHistory(history, now = Date.now()) {
+  history.hourly = history.hourly.filter(entry => now - entry.timestamp < HOURLY_RETENTION_DAYS * DAY_MS);
+
+  const weekCutoff = toDateKey(now - DAILY_RETENTION_DAYS * DAY_MS);
+  const oldestKept = toDateKey(now - MAX_RETENTION_DAYS * DAY_MS);
+  const weeks = new Map();
+  const kept = [];
+
+  history.daily.forEach(entry => {
+    if (entry.date < oldestKept) return;
+    if (entry.date >= weekCutoff) {
+      kept.push(entry);
+      return;
+    }
+    const week = toDateKey(getWeekStart(entry.date));
+    if (!weeks.has(week)) {
+      weeks.set(week, []);
+    }
+    weeks.get(week).push(entry);
+  });
+
+  weeks.forEach((entries, date) => {
+    kept.push({ date, period: 'week', ...averageEntries(entries) });
+  });
+
+  history.daily = kept.sort((a, b) => a.date.localeCompare(b.date));
+  return history;
+}
+
+/**
+ * Get the points to chart for a time range: hourly for the last week, daily
+ * (weekly where downsampled) beyond that
+ * @param {Object} history - trendHistory from storage
+ * @param {number} rangeDays - One of TREND_RANGES
+ * @param {number} now - Current timestamp
+ * @returns {Array} - [{ timestamp, period, tabs, maxTabs, windows, averageHealth, duplicates, memoryMB }] oldest first
+ */
+export function getTrendSeries(history, rangeDays, now = Date.now()) {
+  const since = now - rangeDays * DAY_MS;
+
+  if (rangeDays <= HOURLY_RETENTION_DAYS) {
+    return (history?.hourly || [])
+      .filter(entry => entry.timestamp >= since)
+      .map(entry => ({ ...entry, period: 'hour', maxTabs: entry.tabs }));
+  }
+
+  const sinceKey = toDateKey(since);
+  return (history?.daily || [])
+    .filter(entry => entry.date >= sinceKey)
+    .map(entry => ({ ...entry, timestamp: Date.parse(entry.date) }));
+}
+
+/**
+ * Summarize how a range's first and last points compare, e.g. for "12 fewer tabs"
+ * @param {Array} series - From getTrendSeries()
+ * @returns {Object|null} - { metric: change } for each metric, null without two points
+ */
+export function getTrendChange(series) {
+  if (series.length < 2) return null;
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  const change = {};
+  TREND_METRICS.forEach(metric => {
+    change[metric] = Math.round(((last[metric] || 0) - (first[metric] || 0)) * 10) / 10;
+  });
+  return change;
+}
+
+// Sample-weighted averages of daily (or weekly) entries
+function averageEntries(entries) {
+  const samples = entries.reduce((sum, entry) => sum + (entry.samples || 1), 0);
+  const result = {
+    samples,
+    maxTabs: Math.max(...entries.map(entry => entry.maxTabs ?? entry.tabs ?? 0))
+  };
+
+  TREND_METRICS.forEach(metric => {
+    const total = entries.reduce((sum, entry) => sum + (entry[metric] || 0) * (entry.samples || 1), 0);
+    result[metric] = Math.round((total / samples) * 10) / 10;
+  });
+  return result;
+}
+
+// Same day keys as the session stats: "2024-01-15" (UTC)
+function toDateKey(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Monday of the week a date key falls in
+function getWeekStart(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return date.getTime() - daysSinceMonday * DAY_MS;
+}
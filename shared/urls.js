@@ -0,0 +1,186 @@
+// URL Normalization
+// Duplicate detection compares normalized URLs, so that tracking parameters,
+// #anchors, trailing slashes, http/https and www. variants of a page count as
+// the same page. Options come from the "Duplicate Detection" settings.
+
+import { matchesExclusionPattern } from './exclusions.js';
+
+// Tracking parameters added by newsletters, ads and social sites
+export const DEFAULT_IGNORED_PARAMS = [
+  'utm_*',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'mc_cid',
+  'mc_eid',
+  'igshid',
+  'ref_src',
+  '_ga',
+  '_hsenc',
+  '_hsmi'
+];
+
+// Sites where only some parameters identify the page, or the fragment does
+export const DEFAULT_CANONICAL_RULES = [
+  { pattern: 'youtube.com', keepParams: ['v', 'list'] },
+  { pattern: 'www.google.com/search*', keepParams: ['q'] },
+  { pattern: 'mail.google.com', keepFragment: true }
+];
+
+/**
+ * Get the normalization options from the user's settings
+ * @param {Object} settings - User settings
+ * @returns {Object} - Options for normalizeUrl()
+ */
+export function getNormalizationOptions(settings) {
+  return {
+    ignoredParams: settings?.duplicateIgnoredParams ?? DEFAULT_IGNORED_PARAMS,
+    ignoreFragment: settings?.duplicateIgnoreFragment !== false,
+    ignoreTrailingSlash: settings?.duplicateIgnoreTrailingSlash !== false,
+    ignoreProtocol: settings?.duplicateIgnoreProtocol !== false,
+    ignoreWww: settings?.duplicateIgnoreWww !== false,
+    canonicalRules: settings?.duplicateCanonicalRules ?? DEFAULT_CANONICAL_RULES
+  };
+}
+
+/**
+ * Normalize a URL for duplicate detection. Only http(s) URLs are normalized;
+ * others (chrome://, file://...) are returned as they are.
+ * Fragments that look like app routes (#/inbox, #!/page) are always kept.
+ * @param {string} url - URL to normalize
+ * @param {Object} options - From getNormalizationOptions()
+ * @returns {string} - Normalized URL, e.g. "example.com/article?id=3"
+ */
+export function normalizeUrl(url, options = getNormalizationOptions()) {
+  if (!url) return '';
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return url;
+  }
+
+  const rule = options.canonicalRules.find(r => matchesExclusionPattern(url, r.pattern));
+
+  const protocol = options.ignoreProtocol ? '' : `${urlObj.protocol}//`;
+  const host = options.ignoreWww ? urlObj.host.replace(/^www\./, '') : urlObj.host;
+
+  let path = urlObj.pathname;
+  if (options.ignoreTrailingSlash) {
+    path = path.replace(/\/+$/, '');
+  }
+
+  // Sorted, so parameter order doesn't matter
+  const params = Array.from(urlObj.searchParams)
+    .filter(([name]) => keepParam(name, rule, options))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  const isRoute = /^#!?\//.test(urlObj.hash);
+  const hash = !options.ignoreFragment || rule?.keepFragment || isRoute ? urlObj.hash : '';
+
+  return `${protocol}${host}${path}${query}${hash}`;
+}
+
+/**
+ * Group tabs that open the same normalized URL. New tab pages never count.
+ * @param {Array} tabs - Tabs (or tab records) with a url
+ * @param {Object} options - From getNormalizationOptions()
+ * @returns {Array} - [{ url: normalized URL, tabs }] for groups of 2 or more, tabs in their original order
+ */
+export function findDuplicateGroups(tabs, options = getNormalizationOptions()) {
+  const groups = new Map();
+
+  tabs.forEach(tab => {
+    if (!tab.url || tab.url === 'chrome://newtab/') return;
+
+    const key = normalizeUrl(tab.url, options);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(tab);
+  });
+
+  return Array.from(groups, ([url, groupTabs]) => ({ url, tabs: groupTabs }))
+    .filter(group => group.tabs.length > 1);
+}
+
+/**
+ * Parse the per-site rules as entered in Settings, one rule per line:
+ *   youtube.com keep=v,list      - only these parameters identify the page
+ *   example.com ignore=sid,ref   - also ignore these parameters
+ *   mail.google.com fragment     - the #fragment identifies the page
+ * @param {string} text - Raw textarea contents
+ * @returns {Object} - { rules, errors }
+ */
+export function parseCanonicalRules(text) {
+  const rules = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach((line, i) => {
+    const [pattern, ...options] = line.trim().toLowerCase().split(/\s+/);
+    if (!pattern || pattern.startsWith('#')) return;
+
+    const rule = { pattern };
+    options.forEach(option => {
+      const [name, value = ''] = option.split('=');
+      const params = value.split(',').map(param => param.trim()).filter(Boolean);
+
+      if (name === 'keep' && params.length > 0) {
+        rule.keepParams = params;
+      } else if (name === 'ignore' && params.length > 0) {
+        rule.ignoreParams = params;
+      } else if (name === 'fragment' && !value) {
+        rule.keepFragment = true;
+      } else {
+        errors.push(`Line ${i + 1}: unknown option "${option}"`);
+      }
+    });
+
+    if (options.length === 0) {
+      errors.push(`Line ${i + 1}: "${pattern}" needs keep=, ignore= or fragment`);
+    }
+    rules.push(rule);
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Format per-site rules back into the Settings text format
+ * @param {Array} rules - Rules from parseCanonicalRules()
+ * @returns {string} - One rule per line
+ */
+export function formatCanonicalRules(rules) {
+  return rules.map(rule => [
+    rule.pattern,
+    rule.keepParams ? `keep=${rule.keepParams.join(',')}` : '',
+    rule.ignoreParams ? `ignore=${rule.ignoreParams.join(',')}` : '',
+    rule.keepFragment ? 'fragment' : ''
+  ].filter(Boolean).join(' ')).join('\n');
+}
+
+// Check whether a query parameter is part of the page's identity
+function keepParam(name, rule, options) {
+  const lowerName = name.toLowerCase();
+  if (rule?.keepParams) {
+    return rule.keepParams.includes(lowerName);
+  }
+  const ignored = [...options.ignoredParams, ...(rule?.ignoreParams || [])];
+  return !ignored.some(pattern => matchesParamPattern(lowerName, pattern));
+}
+
+// Parameter names may end with * to match a prefix, e.g. "utm_*"
+function matchesParamPattern(name, pattern) {
+  const lowerPattern = pattern.toLowerCase();
+  return lowerPattern.endsWith('*')
+    ? name.startsWith(lowerPattern.slice(0, -1))
+    : name === lowerPattern;
+}
@@ -146,3 +146,22 @@ export function formatMemory(mb) {
   return `${Math.round(mb)} MB`;
 }
 
+/**
+ * Format a size in bytes to human-readable string
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size string (e.g. "512 B", "34.5 KB" or "1.2 MB")
+ */
+export function formatBytes(bytes) {
+  if (bytes == null || isNaN(bytes)) return '--';
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} B`;
+}
+
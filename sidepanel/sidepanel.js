@@ -4,12 +4,16 @@ import { calculateStats, getInactiveTabs, getTabsByAge, getTabsByActivations, ge
 import { getAllData } from '../shared/storage.js';
 import { formatDuration, formatTimestamp, getFaviconUrl, truncate, formatMemory } from '../shared/utils.js';
 import { estimateAllTabsMemory, calculateMemoryStats, clearMemoryCache } from '../shared/memory.js';
+import { showToast } from '../shared/toast.js';
+import { QuickSwitcher } from '../shared/switcher.js';
+import { keyboard } from '../shared/keyboard.js';
 
 let currentTabs = [];
 let tabStats = {};
 let settings = {};
 let currentSort = 'age-desc';
 let memoryEstimates = {};
+let quickSwitcher = null;
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', async () => {
@@ -35,6 +39,29 @@ function setupEventListeners() {
     currentSort = e.target.value;
     displayTabs();
   });
+  
+  // Quick switcher over the panel
+  quickSwitcher = new QuickSwitcher(document.getElementById('quick-switcher'), {
+    onSwitch: closeQuickSwitcher,
+    onClose: closeQuickSwitcher
+  });
+  document.getElementById('switcher-btn').addEventListener('click', openQuickSwitcher);
+  document.getElementById('switcher-overlay').addEventListener('click', (e) => {
+    if (e.target.id === 'switcher-overlay') {
+      closeQuickSwitcher();
+    }
+  });
+  keyboard.register('cmd+k', openQuickSwitcher, 'Switch to a recent tab');
+}
+
+// Show the quick switcher, most recently used tabs first
+async function openQuickSwitcher() {
+  document.getElementById('switcher-overlay').hidden = false;
+  await quickSwitcher.open();
+}
+
+function closeQuickSwitcher() {
+  document.getElementById('switcher-overlay').hidden = true;
 }
 
 // Load and display all data
@@ -62,7 +89,7 @@ async function loadAndDisplayData() {
 
 // Display summary statistics
 function displaySummary() {
-  const stats = calculateStats(tabStats, currentTabs);
+  const stats = calculateStats(tabStats, currentTabs, settings);
   
   document.getElementById('total-tabs').textContent = stats.totalTabs;
   document.getElementById('total-windows').textContent = stats.totalWindows;
@@ -90,13 +117,15 @@ function displayRecommendations() {
     item.className = `recommendation-item priority-${rec.priority}`;
     
     item.innerHTML = `
-      <div class="recommendation-message">${rec.message}</div>
+      <div class="recommendation-message"></div>
       <button class="recommendation-action" data-type="${rec.type}" title="View details">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <path d="M5 12h14M12 5l7 7-7 7"/>
         </svg>
       </button>
     `;
+    // Rule messages quote the rule's name, so don't parse them as HTML
+    item.querySelector('.recommendation-message').textContent = rec.message;
     
     item.querySelector('.recommendation-action').addEventListener('click', () => {
       handleRecommendationAction(rec);
@@ -108,9 +137,10 @@ function displayRecommendations() {
 
 // Handle recommendation action
 function handleRecommendationAction(recommendation) {
-  // Open dashboard with specific filter
+  // Open dashboard with specific filter; user-defined rules have a filter of their own
+  const filter = recommendation.ruleId ? `rule:${recommendation.ruleId}` : recommendation.type;
   chrome.tabs.create({ 
-    url: chrome.runtime.getURL(`dashboard/dashboard.html?filter=${recommendation.type}`)
+    url: chrome.runtime.getURL(`dashboard/dashboard.html?filter=${encodeURIComponent(filter)}`)
   });
 }
 
@@ -171,7 +201,7 @@ function displayTabs() {
 // Create tab element
 function createTabElement(tab) {
   const div = document.createElement('div');
-  div.className = 'tab-item';
+  div.className = tab.discarded ? 'tab-item tab-item-suspended' : 'tab-item';
   div.dataset.tabId = tab.id;
 
   const tabStat = tabStats[tab.id];
@@ -191,10 +221,12 @@ function createTabElement(tab) {
         <span title="Last accessed">🕒 ${lastAccess}</span>
         <span title="Times accessed">👆 ${activations}×</span>
         <span class="tab-memory" title="Estimated memory">💾 ${memDisplay}</span>
+        ${tab.discarded ? '<span title="Reloads when you switch to it">💤 Suspended</span>' : ''}
       </div>
     </div>
     <div class="tab-actions">
-      <button class="tab-action-btn close-tab-btn" data-tab-id="${tab.id}">✕</button>
+      ${tab.discarded || tab.active ? '' : `<button class="tab-action-btn suspend-tab-btn" data-tab-id="${tab.id}" title="Suspend (free memory, keep tab)">💤</button>`}
+      <button class="tab-action-btn close-tab-btn" data-tab-id="${tab.id}" title="Close tab">✕</button>
     </div>
   `;
   
@@ -206,10 +238,32 @@ function createTabElement(tab) {
     }
   });
   
-  // Close button handler
+  // Close button handler: the worker keeps the close undoable
   div.querySelector('.close-tab-btn').addEventListener('click', async (e) => {
     e.stopPropagation();
-    await chrome.tabs.remove(tab.id);
+    const result = await chrome.runtime.sendMessage({ action: 'closeTabs', tabIds: [tab.id], source: 'sidepanel' });
+    await loadAndDisplayData();
+    
+    if (result?.operationId) {
+      showToast(`Closed "${truncate(tab.title || 'Untitled', 30)}"`, {
+        actionLabel: 'Undo',
+        onAction: async () => {
+          await chrome.runtime.sendMessage({ action: 'undoClose', operationId: result.operationId });
+          await loadAndDisplayData();
+        }
+      });
+    }
+  });
+  
+  // Suspend button handler: the worker takes the memory estimate before discarding
+  div.querySelector('.suspend-tab-btn')?.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const estimate = memoryEstimates[tab.id];
+    await chrome.runtime.sendMessage({
+      action: 'suspendTabs',
+      tabIds: [tab.id],
+      estimates: estimate ? { [tab.id]: estimate.estimateMB } : {}
+    });
     await loadAndDisplayData();
   });
   
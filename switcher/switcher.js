@@ -0,0 +1,25 @@
+// Quick Switcher Popup
+// Opened by the quick switcher shortcut (see background/service-worker.js).
+// Closes once a tab is picked, on Escape, or when it loses focus.
+
+import { QuickSwitcher } from '../shared/switcher.js';
+
+const switcher = new QuickSwitcher(document.getElementById('quick-switcher'), {
+  onSwitch: () => window.close(),
+  onClose: () => window.close()
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  switcher.open();
+});
+
+window.addEventListener('blur', () => {
+  window.close();
+});
+
+// The shortcut pressed again while the popup is open
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === 'quickSwitcherNext') {
+    switcher.moveSelection(1);
+  }
+});